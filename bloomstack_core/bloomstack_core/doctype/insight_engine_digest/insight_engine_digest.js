@@ -0,0 +1,18 @@
+// Copyright (c) 2020, Bloom Stack, Inc and contributors
+// For license information, please see license.txt
+
+frappe.ui.form.on('Insight Engine Digest', {
+	refresh: (frm) => {
+		if (!frm.is_new()) {
+			frm.add_custom_button(__("Send Now"), () => {
+				frm.call("send").then(() => {
+					frappe.show_alert({
+						indicator: "green",
+						message: __("Insight Engine digest sent")
+					});
+					frm.reload_doc();
+				});
+			});
+		}
+	}
+});
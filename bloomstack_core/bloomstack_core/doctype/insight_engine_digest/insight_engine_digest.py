@@ -0,0 +1,173 @@
+# -*- coding: utf-8 -*-
+# Copyright (c) 2020, Bloom Stack, Inc and contributors
+# For license information, please see license.txt
+
+from __future__ import unicode_literals
+
+import datetime
+
+import frappe
+from bloomstack_core.bloomstack_core.page.insight_engine.insight_engine import (DIMENSIONS,
+	get_insight_engine_dashboards, get_series_rows)
+from erpnext import get_company_currency, get_default_company
+from frappe import _
+from frappe.model.document import Document
+from frappe.utils import (add_days, add_months, flt, fmt_money, formatdate, get_first_day, get_last_day,
+	getdate, now_datetime, nowdate, validate_email_address)
+from frappe.utils.csvutils import to_csv
+from frappe.utils.pdf import get_pdf
+
+
+class InsightEngineDigest(Document):
+	def validate(self):
+		self.validate_recipients()
+
+	def validate_recipients(self):
+		invalid_recipients = [recipient for recipient in self.get_recipients()
+			if not validate_email_address(recipient)]
+
+		if invalid_recipients:
+			frappe.throw(_("These recipients aren't valid email addresses: {0}").format(
+				", ".join(invalid_recipients)))
+
+	def get_recipients(self):
+		return [recipient.strip() for recipient in (self.recipients or "").split("\n") if recipient.strip()]
+
+	def get_filters(self):
+		return {dimension: self.get(dimension) for dimension in DIMENSIONS if self.get(dimension)}
+
+	def get_date_range(self, date=None):
+		"""
+		Get the dates the digest covers when it's sent on the given date. Periods
+		end the day before, since the day the digest is sent on has only started.
+		"""
+
+		end_date = add_days(getdate(date or nowdate()), -1)
+
+		if self.date_range == "Last 7 Days":
+			return add_days(end_date, -6), end_date
+		elif self.date_range == "Last 30 Days":
+			return add_days(end_date, -29), end_date
+		elif self.date_range == "Last Week":
+			week_end = add_days(end_date, -((end_date.weekday() + 1) % 7))
+			return add_days(week_end, -6), week_end
+		elif self.date_range == "Last Month":
+			last_month = add_months(getdate(date or nowdate()), -1)
+			return get_first_day(last_month), get_last_day(last_month)
+		elif self.date_range == "Month to Date":
+			return get_first_day(end_date), end_date
+		elif self.date_range == "Year to Date":
+			return datetime.date(end_date.year, 1, 1), end_date
+
+	def is_due(self, date=None):
+		date = getdate(date or nowdate())
+
+		if self.frequency == "Daily":
+			return True
+		elif self.frequency == "Weekly":
+			return date.strftime("%A") == self.send_on
+		elif self.frequency == "Monthly":
+			return date.day == 1
+
+		return False
+
+	def get_message(self, data, start_date, end_date):
+		company = self.company or get_default_company()
+		currency = get_company_currency(company) if company else None
+
+		def format_currency(value):
+			return fmt_money(flt(value), precision=0, currency=currency)
+
+		kpis = [
+			(_("Monthly Revenue"), format_currency(data.get("total_monthly_revenue"))),
+			(_("Weekly Revenue"), format_currency(data.get("total_weekly_revenue"))),
+			(_("Book-to-Bill Ratio"), "{0:.2f}%".format(flt(data.get("order_conversion_rate")))),
+			(_("Average Daily Revenue (Last Month)"), format_currency(data.get("average_monthly_revenue"))),
+			(_("Average Daily Revenue (Last Week)"), format_currency(data.get("average_weekly_revenue"))),
+			(_("Total Invoices"), data.get("total_invoices")),
+			(_("Products Sold"), "{0:,.0f}".format(flt(data.get("total_items_sold")))),
+			(_("Total Products"), data.get("total_skus")),
+			(_("Cash on Hand"), format_currency(data.get("cash_on_hand"))),
+			(_("Projected Revenue"), format_currency(data.get("projected_revenue"))),
+			(_("Sales Target"), format_currency(data.get("target_revenue"))),
+			(_("Projected Attainment"), "{0:.2f}%".format(flt(data.get("target_attainment"))))
+		]
+
+		def get_section(title, rows, label_field, value_field="grand_total"):
+			values = [flt(row.get(value_field)) for row in rows or []]
+			highest = max(values) if values else 0
+
+			return {
+				"title": title,
+				"rows": [{
+					"label": row.get(label_field),
+					"value": format_currency(value),
+					"percent": (value / highest * 100) if highest > 0 else 0
+				} for row, value in zip(rows or [], values)]
+			}
+
+		revenue_by_month = [{"month": getdate(row.date).strftime("%b %Y"), "revenue": row.revenue}
+			for row in data.get("total_sales_by_month") or []]
+
+		invoices_by_status = [
+			{"status": _("Paid"), "grand_total": data.get("paid_invoices")},
+			{"status": _("Unpaid"), "grand_total": data.get("unpaid_invoices")},
+			{"status": _("Overdue"), "grand_total": data.get("overdue_invoices")},
+			{"status": _("Returned"), "grand_total": data.get("returned_invoices")},
+			{"status": _("Credit Issued"), "grand_total": data.get("credit_invoices")}
+		]
+
+		sections = [
+			get_section(_("Total Revenue by Month"), revenue_by_month, "month", "revenue"),
+			get_section(_("Top Customers by Revenue"), data.get("top_customers_by_revenue"), "customer"),
+			get_section(_("Top Customer Groups by Revenue"), data.get("top_customer_groups_by_revenue"),
+				"customer_group"),
+			get_section(_("Top Sales Partners by Revenue"), data.get("top_sales_partners_by_revenue"),
+				"sales_partner"),
+			get_section(_("Invoice Breakdown by Status"), invoices_by_status, "status"),
+			get_section(_("Total Revenue by Territory"), data.get("top_territories_by_revenue"), "territory"),
+			get_section(_("Top Products by Revenue"), data.get("top_products_by_revenue"), "item", "revenue")
+		]
+
+		return frappe.render_template("templates/emails/insight_engine_digest.html", {
+			"title": self.title,
+			"period": "{0} - {1}".format(formatdate(start_date), formatdate(end_date)),
+			"filters": [(frappe.unscrub(dimension), value) for dimension, value in self.get_filters().items()],
+			"kpis": kpis,
+			"sections": [section for section in sections if section.get("rows")]
+		})
+
+	@frappe.whitelist()
+	def send(self):
+		start_date, end_date = self.get_date_range()
+		data = get_insight_engine_dashboards(start_date, end_date, **self.get_filters())
+		message = self.get_message(data, start_date, end_date)
+
+		file_name = "{0} {1}".format(self.title, end_date)
+		attachments = [
+			{"fname": "{0}.pdf".format(file_name), "fcontent": get_pdf(message)},
+			{"fname": "{0}.csv".format(file_name), "fcontent": to_csv(get_series_rows(data))}
+		]
+
+		frappe.sendmail(recipients=self.get_recipients(),
+			subject=_("{0} for {1} - {2}").format(self.title, formatdate(start_date), formatdate(end_date)),
+			message=message,
+			attachments=attachments)
+
+		self.db_set("last_sent_on", now_datetime())
+
+
+def send_insight_engine_digests():
+	"""
+	Send the enabled Insight Engine digests that are due today.
+	"""
+
+	for digest in frappe.get_all("Insight Engine Digest", filters={"enabled": 1}):
+		digest = frappe.get_doc("Insight Engine Digest", digest.name)
+		if not digest.is_due():
+			continue
+
+		try:
+			digest.send()
+		except Exception:
+			frappe.log_error(frappe.get_traceback(), _("Insight Engine Digest failed: {0}").format(digest.name))
@@ -0,0 +1,8 @@
+// Copyright (c) 2020, Bloom Stack, Inc and contributors
+// For license information, please see license.txt
+
+frappe.ui.form.on('Insight Engine Layout', {
+	// refresh: function(frm) {
+
+	// }
+});
@@ -0,0 +1,35 @@
+# -*- coding: utf-8 -*-
+# Copyright (c) 2020, Bloom Stack, Inc and contributors
+# For license information, please see license.txt
+
+from __future__ import unicode_literals
+
+import frappe
+from frappe import _
+from frappe.model.document import Document
+
+
+class InsightEngineLayout(Document):
+	def validate(self):
+		self.validate_owner()
+		self.validate_duplicate_layout()
+		self.validate_duplicate_widgets()
+
+	def validate_owner(self):
+		if bool(self.user) == bool(self.role):
+			frappe.throw(_("A layout belongs to either a User or a Role"))
+
+	def validate_duplicate_layout(self):
+		filters = {"user": self.user} if self.user else {"role": self.role}
+		filters["name"] = ("!=", self.name)
+
+		if frappe.db.exists("Insight Engine Layout", filters):
+			frappe.throw(_("An Insight Engine layout already exists for {0}").format(self.user or self.role))
+
+	def validate_duplicate_widgets(self):
+		widgets = [row.widget for row in self.widgets]
+		duplicates = set([widget for widget in widgets if widgets.count(widget) > 1])
+
+		if duplicates:
+			frappe.throw(_("Widgets can only be placed once, found duplicates for: {0}").format(
+				", ".join(duplicates)))
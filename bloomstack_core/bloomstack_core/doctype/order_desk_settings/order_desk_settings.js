@@ -0,0 +1,12 @@
+// Copyright (c) 2020, Bloom Stack, Inc and contributors
+// For license information, please see license.txt
+
+frappe.ui.form.on('Order Desk Settings', {
+	refresh: (frm) => {
+		frm.set_query("print_format", () => {
+			return {
+				filters: { doc_type: "Sales Order", disabled: 0 }
+			};
+		});
+	}
+});
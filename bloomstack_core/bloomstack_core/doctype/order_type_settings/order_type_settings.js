@@ -0,0 +1,18 @@
+// Copyright (c) 2020, Bloom Stack, Inc and contributors
+// For license information, please see license.txt
+
+frappe.ui.form.on('Order Type Settings', {
+	refresh: (frm) => {
+		frm.set_query("selling_price_list", "order_types", () => {
+			return {
+				filters: { selling: 1 }
+			};
+		});
+
+		frm.set_query("warehouse", "order_types", () => {
+			return {
+				filters: { is_group: 0 }
+			};
+		});
+	}
+});
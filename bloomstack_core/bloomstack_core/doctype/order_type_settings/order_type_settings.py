@@ -0,0 +1,57 @@
+# -*- coding: utf-8 -*-
+# Copyright (c) 2020, Bloom Stack, Inc and contributors
+# For license information, please see license.txt
+
+from __future__ import unicode_literals
+
+import frappe
+from frappe import _
+from frappe.custom.doctype.property_setter.property_setter import make_property_setter
+from frappe.model.document import Document
+
+ORDER_TYPE_DOCTYPES = ["Quotation", "Sales Order", "Sales Invoice", "Delivery Note"]
+
+
+class OrderTypeSettings(Document):
+	def validate(self):
+		self.validate_duplicate_order_types()
+
+	def on_update(self):
+		self.update_order_type_options()
+
+	def validate_duplicate_order_types(self):
+		order_types = [row.order_type for row in self.order_types]
+		duplicates = set([order_type for order_type in order_types if order_types.count(order_type) > 1])
+
+		if duplicates:
+			frappe.throw(_("Order Types can only be defined once, found duplicates for: {0}").format(
+				", ".join(duplicates)))
+
+	def update_order_type_options(self):
+		"""add configured order types to the selectable options of every transaction that carries one"""
+
+		for doctype in ORDER_TYPE_DOCTYPES:
+			field = frappe.get_meta(doctype).get_field("order_type")
+			if not field:
+				continue
+
+			options = (field.options or "").split("\n")
+			new_options = [row.order_type for row in self.order_types if row.order_type not in options]
+
+			if new_options:
+				make_property_setter(doctype, "order_type", "options", "\n".join(options + new_options), "Text")
+
+
+@frappe.whitelist()
+def get_order_type_rule(order_type):
+	"""return the discount, price list and warehouse rules configured for an order type"""
+
+	if not order_type:
+		return
+
+	rule = frappe.db.get_value("Order Type Rule",
+		{"parent": "Order Type Settings", "order_type": order_type},
+		["order_type", "discount_percentage", "selling_price_list", "warehouse"],
+		as_dict=True)
+
+	return rule
@@ -1,4 +1,5 @@
 {% include "bloomstack_core/bloomstack_core/page/insight_engine/insight_engine.html" %}
+{% include "bloomstack_core/bloomstack_core/page/insight_engine/widgets.js" %}
 
 frappe.pages['insight-engine'].on_page_load = function(wrapper) {
 	wrapper.insight_engine = new InsightEngine(wrapper);
@@ -13,6 +14,11 @@ class InsightEngine {
 			single_column: true
 		});
 
+		this.widgets = bloomstack_core.insight_engine.widgets;
+		this.charts = {};
+		this.editing = false;
+		this.granularity = "month";
+
 		this.setup(parent);
 		const assets = [
 			'assets/js/chart.js',
@@ -38,50 +44,276 @@ class InsightEngine {
 			start_date: startDateControl,
 			end_date: endDateControl,
 			parent: $(parent).find(".layout-main"),
-			refresh_btn: parent.page.set_primary_action(__("Refresh All"), () => { me.make() }, "fa fa-refresh"),
+			// sections are cached on the server, so refreshing works them out again
+			refresh_btn: parent.page.set_primary_action(__("Refresh"), () => { me.make(true) }, "fa fa-refresh"),
 		};
 
+		this.elements.compare_to = parent.page.add_select(__("Compare To"), [
+			{ value: "", label: __("No Comparison") },
+			{ value: "previous_period", label: __("Previous Period") },
+			{ value: "last_year", label: __("Same Period Last Year") },
+			{ value: "custom", label: __("Custom Range") }
+		]).change(() => {
+			me.toggleCustomComparison();
+			me.make();
+		});
+		this.elements.compare_to.val("last_year");
+
+		this.elements.compare_start_date = parent.page.add_date(__("Compare From"))
+			.change(() => { me.make() });
+		this.elements.compare_end_date = parent.page.add_date(__("Compare Until"))
+			.change(() => { me.make() });
+		this.toggleCustomComparison();
+
+		this.elements.granularity = parent.page.add_select(__("Granularity"), [
+			{ value: "week", label: __("Weekly") },
+			{ value: "month", label: __("Monthly") },
+			{ value: "quarter", label: __("Quarterly") }
+		]).change(() => {
+			me.granularity = me.elements.granularity.val();
+			me.renderWidgets();
+		});
+		this.elements.granularity.val(this.granularity);
+
+		// the forecast for the rest of the fiscal year is drawn on the revenue charts when asked for
+		this.elements.show_forecast = parent.page.add_field({
+			fieldname: "show_forecast",
+			fieldtype: "Check",
+			label: __("Show Forecast"),
+			change: () => { me.renderWidgets() }
+		});
+
+		// dimensions slice every widget, and are kept in the URL so filtered dashboards can be shared
+		this.elements.dimensions = {};
+		[
+			{ fieldname: "company", label: __("Company"), options: "Company" },
+			{ fieldname: "territory", label: __("Territory"), options: "Territory" },
+			{ fieldname: "customer_group", label: __("Customer Group"), options: "Customer Group" },
+			{ fieldname: "sales_partner", label: __("Sales Partner"), options: "Sales Partner" },
+			{ fieldname: "item_group", label: __("Item Group"), options: "Item Group" }
+		].forEach((df) => {
+			this.elements.dimensions[df.fieldname] = parent.page.add_field(Object.assign({
+				fieldtype: "Link",
+				change: () => { me.make() }
+			}, df));
+		});
+		this.setFiltersFromRoute();
+
 		this.elements.no_data = $('<div class="alert alert-warning">' + __("No Data") + '</div>')
 			.toggle(false)
 			.appendTo(this.elements.parent);
+
+		parent.page.add_menu_item(__("Customize Dashboard"), () => { me.toggleEditing(true) });
+		parent.page.add_menu_item(__("Reset Dashboard"), () => { me.resetLayout() });
+		parent.page.add_menu_item(__("Export PDF"), () => { me.exportPdf() });
+		parent.page.add_menu_item(__("Export CSV"), () => { me.exportCsv() });
+	}
+
+	toggleCustomComparison() {
+		const isCustom = this.elements.compare_to.val() === "custom";
+
+		[this.elements.compare_start_date, this.elements.compare_end_date].forEach(($input) => {
+			$input.closest(".frappe-control").toggle(isCustom);
+		});
+	}
+
+	setFiltersFromRoute() {
+		const query = window.location.hash.split("?")[1] || "";
+		const routeOptions = Object.assign(frappe.utils.get_query_params(query), frappe.route_options);
+		frappe.route_options = null;
+
+		Object.keys(this.elements.dimensions).forEach((dimension) => {
+			if (routeOptions[dimension]) {
+				this.elements.dimensions[dimension].set_input(routeOptions[dimension]);
+			}
+		});
+
+		["start_date", "end_date"].forEach((field) => {
+			if (routeOptions[field]) {
+				this.elements[field].val(frappe.datetime.str_to_user(routeOptions[field]));
+			}
+		});
+	}
+
+	updateRoute() {
+		const query = $.param(Object.assign({}, this.filters));
+		window.history.replaceState(null, null, `#insight-engine?${query}`);
 	}
 
-	async make() {
-		await this.getData();
+	async make(refresh) {
+		// the layout decides which data sources need to be loaded
+		await this.getLayout();
+
+		this.filters = this.getFilters();
+		this.comparison = this.getComparisonFilters(this.filters);
+		this.updateRoute();
+
+		// responses to an earlier request are dropped once the filters have changed
+		const request = this.request = {};
+		this.data = {};
+		this.comparisonData = {};
+		this.dashboardData = null;
+
 		this.renderPage();
-		this.renderCharts();
+		this.renderWidgets();
+		this.elements.page.set_title_sub(`<span class="text-muted">${__("Refreshing...")}</span>`);
+
+		// every data source loads on its own, filling in its widgets as soon as it's back
+		await Promise.all(this.getMethods().map(method => this.getData(method, request, refresh)));
+
+		if (request === this.request) {
+			this.renderRefreshedOn();
+		}
 	}
 
-	async getData() {
-		let me = this;
-		await frappe.call({
-			method: "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.get_insight_engine_dashboards",
-			args: {
-				start_date: me.elements.start_date.val(),
-				end_date: me.elements.end_date.val(),
-			},
-			callback: (r) => {
-				if (!r.exc && r.message) {
-					me.dashboardData = r.message;
-					me.dashboardData.startDate = me.elements.start_date.val();
-					me.dashboardData.endDate = me.elements.end_date.val();
-				} else {
-					me.elements.no_data.toggle(true);
-				}
+	getFilters() {
+		const toDate = date => date ? frappe.datetime.user_to_str(date) : null;
+
+		const filters = {
+			start_date: toDate(this.elements.start_date.val()),
+			end_date: toDate(this.elements.end_date.val())
+		};
+
+		Object.keys(this.elements.dimensions).forEach((dimension) => {
+			const value = this.elements.dimensions[dimension].get_value();
+			if (value) {
+				filters[dimension] = value;
 			}
 		});
+
+		return filters;
+	}
+
+	getComparisonFilters(filters) {
+		const compareTo = this.elements.compare_to.val();
+		const startDate = moment(filters.start_date);
+		const endDate = moment(filters.end_date);
+		let range;
+
+		if (compareTo === "previous_period") {
+			// the same number of days, ending the day before the selected period starts
+			const days = endDate.diff(startDate, "days") + 1;
+			range = [startDate.clone().subtract(days, "days"), startDate.clone().subtract(1, "day")];
+		} else if (compareTo === "last_year") {
+			range = [startDate.clone().subtract(1, "year"), endDate.clone().subtract(1, "year")];
+		} else if (compareTo === "custom") {
+			const compareStartDate = this.elements.compare_start_date.val();
+			const compareEndDate = this.elements.compare_end_date.val();
+
+			if (compareStartDate && compareEndDate) {
+				range = [compareStartDate, compareEndDate].map(date => moment(frappe.datetime.user_to_str(date)));
+			}
+		}
+
+		if (!range) {
+			return null;
+		}
+
+		const [startDateToCompare, endDateToCompare] = range;
+		return Object.assign({}, filters, {
+			start_date: startDateToCompare.format("YYYY-MM-DD"),
+			end_date: endDateToCompare.format("YYYY-MM-DD")
+		});
+	}
+
+	getMethods() {
+		return this.layout
+			.map(row => this.widgets.get(row.widget))
+			.filter(widget => widget)
+			.map(widget => widget.method)
+			.concat([bloomstack_core.insight_engine.KPI_METHOD, bloomstack_core.insight_engine.FORECAST_METHOD])
+			.filter((method, i, methods) => methods.indexOf(method) === i);
+	}
+
+	async getData(method, request, refresh) {
+		const { KPI_METHOD, FORECAST_METHOD } = bloomstack_core.insight_engine;
+
+		// the forecast runs from today whatever the period, so there's nothing to compare it with
+		const compare = this.comparison && method !== FORECAST_METHOD;
+
+		const [data, comparisonData] = await Promise.all([
+			this.fetchData(method, this.filters, refresh),
+			compare ? this.fetchData(method, this.comparison, refresh) : null
+		]);
+
+		if (request !== this.request) {
+			return;
+		}
+
+		this.data[method] = data;
+		this.comparisonData[method] = comparisonData;
+		this.dashboardData = Object.assign({}, this.dashboardData, data);
+
+		if ([KPI_METHOD, FORECAST_METHOD].includes(method)) {
+			this.renderKpis();
+		}
+
+		// the revenue charts draw the forecast once it's back
+		this.layout
+			.map(row => this.widgets.get(row.widget))
+			.filter(widget => widget && (widget.method === method || method === FORECAST_METHOD))
+			.forEach(widget => this.renderChart(widget));
+	}
+
+	async fetchData(method, filters, refresh) {
+		const r = await frappe.call({
+			method: method,
+			args: Object.assign({}, filters, refresh && { refresh: 1 })
+		});
+
+		if (r.message) {
+			return Object.assign(r.message, {
+				startDate: filters.start_date,
+				endDate: filters.end_date,
+				filters: filters,
+				isComparison: filters === this.comparison
+			});
+		}
+	}
+
+	async getLayout() {
+		// the layout is loaded once, edits are kept on the page until they're saved
+		if (this.layout) {
+			return;
+		}
+
+		const r = await frappe.call({
+			method: "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.get_dashboard_layout"
+		});
+
+		this.savedLayout = r.message;
+		this.layout = this.savedLayout ? this.savedLayout.widgets : this.getDefaultLayout();
+	}
+
+	getDefaultLayout() {
+		return this.widgets.all().map(widget => ({ widget: widget.name, width: widget.width }));
+	}
+
+	getSourceData(widget, comparison) {
+		const data = (comparison ? this.comparisonData : this.data) || {};
+		return data[widget.method];
+	}
+
+	isLoaded(widget) {
+		return Boolean(this.data) && widget.method in this.data;
+	}
+
+	formatRange(filters) {
+		return [filters.start_date, filters.end_date].map(date => frappe.datetime.str_to_user(date)).join(" - ");
 	}
 
 	getDateRangeAsArray(startDate, endDate, period) {
 		let dateArray = [];
 
 		// Default the dashboard input dates to the selected date range
-		startDate = moment(startDate || this.dashboardData.startDate);
+		startDate = moment(startDate || this.dashboardData.startDate).startOf(period);
 		endDate = moment(endDate || this.dashboardData.endDate);
 
 		let dateFormat;
 		if (period === "year") {
 			dateFormat = "Y";
+		} else if (period === "quarter") {
+			dateFormat = startDate.year() != endDate.year() ? '[Q]Q Y' : '[Q]Q';
 		} else if (period === "month") {
 			dateFormat = startDate.year() != endDate.year() ? 'MMM Y' : 'MMM';
 		} else {
@@ -96,708 +328,587 @@ class InsightEngine {
 		return dateArray;
 	}
 
+	getPeriodValues(rows, startDate, endDate, period, field = "revenue") {
+		// sum dated rows into the periods returned by `getDateRangeAsArray`
+		const start = moment(startDate).startOf(period);
+		const values = this.getDateRangeAsArray(startDate, endDate, period).map(() => 0);
+
+		(rows || []).forEach(row => {
+			const index = moment(row.date).startOf(period).diff(start, period);
+			if (index >= 0 && index < values.length) {
+				values[index] += flt(row[field]);
+			}
+		});
+
+		return values;
+	}
+
+	getPeriodRange(startDate, endDate, index, period) {
+		// the dates covered by a period from `getDateRangeAsArray`, within the selected range
+		const from = moment(startDate).startOf(period).add(index, period);
+		const to = from.clone().endOf(period);
+
+		return [moment.max(from, moment(startDate)), moment.min(to, moment(endDate))]
+			.map(date => date.format("YYYY-MM-DD"));
+	}
+
 	renderPage() {
-		let html = frappe.render_template("insight_engine", this.dashboardData);
-		let wrapper = this.elements.parent.find(".wrapper");
+		// the KPIs and widgets show a spinner until their data is back
+		this.elements.parent.find(".wrapper").remove();
+		this.elements.no_data.toggle(false);
+
+		$(`<div class="wrapper">
+			<div class="revenue-section">${this.getLoadingHtml()}</div>
+			<div class="insight-widgets"></div>
+		</div>`).appendTo(this.elements.parent);
+	}
 
-		if (wrapper.length) {
-			wrapper.html(html);
-		} else {
-			this.elements.parent.append(html);
+	getLoadingHtml() {
+		return `<div class="insight-loading text-muted text-center"><i class="fa fa-spinner fa-spin"></i></div>`;
+	}
+
+	renderKpis() {
+		const { KPI_METHOD, FORECAST_METHOD } = bloomstack_core.insight_engine;
+		if (!this.isLoaded({ method: KPI_METHOD })) {
+			return;
 		}
+
+		// the projected revenue KPIs come in with the forecast, whenever that's back
+		const data = this.getSourceData({ method: KPI_METHOD });
+		const forecast = this.getSourceData({ method: FORECAST_METHOD });
+
+		this.elements.no_data.toggle(!data);
+		this.elements.parent.find(".revenue-section").replaceWith(data
+			? frappe.render_template("insight_engine", Object.assign({ has_forecast: Boolean(forecast) }, forecast, data))
+			: `<div class="revenue-section"></div>`);
+
+		this.renderKpiChanges();
 	}
 
-	renderCharts() {
+	getForecast() {
+		if (!this.elements.show_forecast.get_value()) {
+			return null;
+		}
+
+		const data = this.getSourceData({ method: bloomstack_core.insight_engine.FORECAST_METHOD });
+		return data ? data.revenue_forecast : null;
+	}
+
+	renderKpiChanges() {
+		const kpiSource = { method: bloomstack_core.insight_engine.KPI_METHOD };
+		const data = this.getSourceData(kpiSource);
+		const previous = this.getSourceData(kpiSource, true);
+		if (!data || !previous) {
+			return;
+		}
+
+		this.elements.parent.find("[data-kpi]").each((i, kpi) => {
+			const field = $(kpi).attr("data-kpi");
+			const current = flt(data[field]);
+			const last = flt(previous[field]);
+
+			// there's no percentage change from nothing
+			if (!last) {
+				return;
+			}
+
+			const change = (current - last) / Math.abs(last) * 100;
+			const direction = change >= 0 ? "up" : "down";
+
+			$(`<span class="kpi-change ${direction}">
+				<i class="fa fa-caret-${direction}"></i> ${format_number(Math.abs(change), null, 1)}%
+			</span>`)
+				.attr("title", __("Compared to {0}", [this.formatRange(this.comparison)]))
+				.insertAfter($(kpi).find(".amount"));
+		});
+	}
+
+	renderRefreshedOn() {
+		// the oldest section on the page decides how fresh the dashboard is
+		const refreshedOn = Object.values(this.data).concat(Object.values(this.comparisonData))
+			.map(data => data && data.refreshed_on)
+			.filter(Boolean)
+			.sort()[0];
+
+		this.elements.page.set_title_sub(refreshedOn
+			? `<span class="text-muted">${__("Last refreshed {0}", [comment_when(refreshedOn)])}</span>`
+			: "");
+	}
+
+	getVisibleWidgets() {
+		// widgets still loading stay on the page, until they turn out to have nothing to show
+		return this.layout
+			.map(row => ({ widget: this.widgets.get(row.widget), width: row.width }))
+			.filter(({ widget }) => {
+				if (!widget) {
+					return false;
+				}
+
+				const data = this.getSourceData(widget);
+				return !this.isLoaded(widget) || (data && widget.isAvailable(data));
+			});
+	}
+
+	renderWidgets() {
 		// set global datalabel defaults
 		Chart.defaults.global.plugins.datalabels.anchor = 'end';
 		Chart.defaults.global.plugins.datalabels.align = 'end';
 
-		const currentYear = moment().year();
-		const lastYear = moment().subtract(1, "year").year();
-		const opacity = 0.6;
-		const colors = {
-			hex: [
-				// no opacity
-				'#F58767',
-				'#505362',
-				'#69829E',
-				'#80BD9E',
-				'#ADBD38',
-				'#598233',
-				// hack to repeat colors
-				'#F58767',
-				'#505362',
-				'#69829E',
-				'#80BD9E',
-				'#ADBD38',
-				'#598233'
-			],
-			rgba: [
-				// applied opacity
-				`rgba(245, 135, 103, ${opacity})`,
-				`rgba(80, 83, 98, ${opacity})`,
-				`rgba(105, 130, 158, ${opacity})`,
-				`rgba(128, 189, 158, ${opacity})`,
-				`rgba(173, 189, 56, ${opacity})`,
-				`rgba(89, 130, 5, ${opacity})`,
-				// hack to repeat colors
-				`rgba(245, 135, 103, ${opacity})`,
-				`rgba(80, 83, 98, ${opacity})`,
-				`rgba(105, 130, 158, ${opacity})`,
-				`rgba(128, 189, 158, ${opacity})`,
-				`rgba(173, 189, 56, ${opacity})`,
-				`rgba(89, 130, 5, ${opacity})`
-			]
+		Object.values(this.charts).forEach(chart => chart.destroy());
+		this.charts = {};
+
+		const $container = this.elements.parent.find(".insight-widgets")
+			.empty()
+			.toggleClass("editing", this.editing);
+
+		this.getVisibleWidgets().forEach(({ widget, width }) => {
+			$(this.getWidgetHtml(widget, width)).appendTo($container);
+			this.renderChart(widget);
+		});
+
+		this.bindWidgetActions($container);
+	}
+
+	renderChart(widget) {
+		const $widget = this.elements.parent.find(`.insight-widget[data-widget="${widget.name}"]`);
+		if (!$widget.length || !this.isLoaded(widget)) {
+			return;
 		}
 
-		// split list of sales revenue by year
-		let currentYearRevenue = this.dashboardData.total_sales_by_month.filter(elem => elem.year == currentYear).map(elem => elem.revenue)
-		let lastYearRevenue = this.dashboardData.total_sales_by_month.filter(elem => elem.year == lastYear).map(elem => elem.revenue)
-
-		let currentYearCumulativeRevenue = currentYearRevenue.reduce((prev, next, i) => [...prev, next + (prev[i - 1] || 0)], [])
-		let lastYearCumulativeRevenue = lastYearRevenue.reduce((prev, next, i) => [...prev, next + (prev[i - 1] || 0)], [])
-
-		// MTD revenue vs last year
-		new Chart($(".total-revenue .left-chart .graphics"), {
-			type: 'line',
-			data: {
-				labels: this.getDateRangeAsArray(frappe.datetime.year_start(), frappe.datetime.year_end(), "month"),
-				datasets: [
-					{
-						label: currentYear,
-						data: currentYearRevenue,
-						backgroundColor: colors.rgba[0],
-						borderColor: colors.hex[0],
-						borderWidth: 1.5,
-						fill: false
-					},
-					{
-						label: lastYear,
-						data: lastYearRevenue,
-						backgroundColor: colors.rgba[1],
-						borderColor: colors.hex[1],
-						borderWidth: 1.5,
-						fill: false
-					}
-				]
-			},
-			options: {
-				legend: {
-					display: true,
-					position: 'bottom'
-				},
-				layout: { padding: 30 },
-				scales: {
-					xAxes: [{
-						type: 'category',
-						time: { minUnit: "month" },
-						gridLines: { display: false },
-						distribution: 'series'
-					}],
-					yAxes: [{
-						gridLines: { display: false },
-						ticks: {
-							callback(value, index, values) {
-								return format_currency(value, null, 0);
-							}
-						}
-					}]
-				},
-				plugins: {
-					datalabels: {
-						display: false
-					}
-				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(tooltipItem.value);
-						}
-					}
-				}
-			}
+		const data = this.getSourceData(widget);
+		if (!data || !widget.isAvailable(data)) {
+			$widget.remove();
+			return;
+		}
+
+		if (this.charts[widget.name]) {
+			this.charts[widget.name].destroy();
+		}
+
+		$widget.removeClass("loading").find(".insight-loading").remove();
+
+		// widgets that aren't charts draw themselves
+		if (widget.render) {
+			widget.render($widget.find(".graphics").empty(), data, this);
+			return;
+		}
+
+		this.charts[widget.name] = new Chart($widget.find(".graphics"), {
+			type: widget.chartType,
+			data: this.applyColors(widget, this.getChartData(widget)),
+			options: this.getChartOptions(widget)
 		});
+	}
 
-		// YTD revenue vs last year
-		new Chart($(".total-revenue .right-chart .graphics"), {
-			type: 'line',
-			data: {
-				labels: this.getDateRangeAsArray(frappe.datetime.year_start(), frappe.datetime.year_end(), "month"),
-				datasets: [
-					{
-						label: currentYear,
-						data: currentYearCumulativeRevenue,
-						backgroundColor: colors.rgba[0],
-						borderColor: colors.hex[0],
-						borderWidth: 1.5,
-						fill: false
-					},
-					{
-						label: lastYear,
-						data: lastYearCumulativeRevenue,
-						backgroundColor: colors.rgba[1],
-						borderColor: colors.hex[1],
-						borderWidth: 1.5,
-						fill: false
-					}
-				]
-			},
-			options: {
-				legend: {
-					display: true,
-					position: 'bottom'
-				},
-				layout: { padding: 30 },
-				scales: {
-					xAxes: [{
-						type: 'category',
-						time: { minUnit: "month" },
-						gridLines: { display: false },
-						distribution: 'series'
-					}],
-					yAxes: [{
-						gridLines: { display: false },
-						ticks: {
-							callback(value, index, values) {
-								return format_currency(value, null, 0);
-							}
-						}
-					}]
-				},
-				plugins: {
-					datalabels: {
-						display: false
-					}
-				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(tooltipItem.value);
-						}
-					}
-				}
-			}
+	getWidgetHtml(widget, width) {
+		const isFull = width === "Full";
+
+		return `
+			<div class="insight-widget loading ${isFull ? "full-width" : ""}" data-widget="${widget.name}">
+				<div class="section-heading">
+					<p class="heading">
+						${widget.label}
+						<span>${widget.subtitle || ""}</span>
+					</p>
+					${widget.render ? "" : `<a class="widget-download" title="${__("Download PNG")}"><i class="fa fa-download"></i></a>`}
+					<p class="period">${widget.period || ""}</p>
+					<div class="widget-actions">
+						<a data-action="move" data-offset="-1" title="${__("Move Back")}"><i class="fa fa-arrow-left"></i></a>
+						<a data-action="move" data-offset="1" title="${__("Move Forward")}"><i class="fa fa-arrow-right"></i></a>
+						<a data-action="resize" title="${isFull ? __("Half Width") : __("Full Width")}">
+							<i class="fa ${isFull ? "fa-compress" : "fa-expand"}"></i>
+						</a>
+						<a data-action="remove" title="${__("Remove")}"><i class="fa fa-times"></i></a>
+					</div>
+				</div>
+				${this.getLoadingHtml()}
+				${widget.render ? `<div class="graphics"></div>` : `<canvas class="graphics"></canvas>`}
+			</div>
+		`;
+	}
+
+	getChartData(widget) {
+		const chartData = widget.getData(this.getSourceData(widget), this);
+		const comparisonSource = this.comparison && this.getSourceData(widget, true);
+
+		if (!comparisonSource || widget.compareBy === false) {
+			return chartData;
+		}
+
+		const comparisonData = widget.getData(comparisonSource, this);
+		const comparisonRange = this.formatRange(this.comparison);
+
+		chartData.datasets.forEach(dataset => {
+			dataset.label = dataset.label || this.formatRange(this.filters);
 		});
 
-		// split list of upsell revenue by year
-		if (this.dashboardData.total_upsell_sales_by_month) {
-			let currentYearUpsellRevenue = this.dashboardData.total_upsell_sales_by_month.filter(elem => elem.year == currentYear).map(elem => elem.revenue);
-			let lastYearUpsellRevenue = this.dashboardData.total_upsell_sales_by_month.filter(elem => elem.year == lastYear).map(elem => elem.revenue);
-
-			let currentYearCumulativeUpsellRevenue = currentYearUpsellRevenue.reduce((prev, next, i) => [...prev, next + (prev[i - 1] || 0)], []);
-			let lastYearCumulativeUpsellRevenue = lastYearUpsellRevenue.reduce((prev, next, i) => [...prev, next + (prev[i - 1] || 0)], []);
-
-			// MTD Sales Partner upsell vs last year
-			new Chart($(".total-upsell-revenue .left-chart .graphics"), {
-				type: 'line',
-				data: {
-					labels: this.getDateRangeAsArray(frappe.datetime.year_start(), frappe.datetime.year_end(), "month"),
-					datasets: [
-						{
-							label: currentYear,
-							data: currentYearUpsellRevenue,
-							backgroundColor: colors.rgba[0],
-							borderColor: colors.hex[0],
-							borderWidth: 1.5,
-							fill: false
-						},
-						{
-							label: lastYear,
-							data: lastYearUpsellRevenue,
-							backgroundColor: colors.rgba[1],
-							borderColor: colors.hex[1],
-							borderWidth: 1.5,
-							fill: false
-						}
-					]
-				},
-				options: {
-					legend: {
-						display: true,
-						position: 'bottom'
-					},
-					layout: { padding: 30 },
-					scales: {
-						xAxes: [{
-							type: 'category',
-							time: { minUnit: "month" },
-							gridLines: { display: false },
-							distribution: 'series'
-						}],
-						yAxes: [{
-							gridLines: { display: false },
-							ticks: {
-								callback(value, index, values) {
-									return format_currency(value, null, 0);
-								}
-							}
-						}]
-					},
-					plugins: {
-						datalabels: {
-							display: false
-						}
-					},
-					tooltips: {
-						callbacks: {
-							label(tooltipItem, data) {
-								return format_currency(tooltipItem.value);
-							}
-						}
-					}
+		// line the comparison period up with the points of the selected one
+		comparisonData.datasets.forEach((dataset, i) => {
+			const data = chartData.labels.map((label, j) => {
+				if (widget.compareBy === "index") {
+					return j < dataset.data.length ? dataset.data[j] : null;
 				}
-			});
 
-			// YTD Sales Partner upsell vs last year
-			new Chart($(".total-upsell-revenue .right-chart .graphics"), {
-				type: 'line',
-				data: {
-					labels: this.getDateRangeAsArray(frappe.datetime.year_start(), frappe.datetime.year_end(), "month"),
-					datasets: [
-						{
-							label: currentYear,
-							data: currentYearCumulativeUpsellRevenue,
-							backgroundColor: colors.rgba[0],
-							borderColor: colors.hex[0],
-							borderWidth: 1.5,
-							fill: false
-						},
-						{
-							label: lastYear,
-							data: lastYearCumulativeUpsellRevenue,
-							backgroundColor: colors.rgba[1],
-							borderColor: colors.hex[1],
-							borderWidth: 1.5,
-							fill: false
-						}
-					]
-				},
-				options: {
-					legend: {
-						display: true,
-						position: 'bottom'
-					},
-					layout: { padding: 30 },
-					scales: {
-						xAxes: [{
-							type: 'category',
-							time: { minUnit: "month" },
-							gridLines: { display: false },
-							distribution: 'series'
-						}],
-						yAxes: [{
-							gridLines: { display: false },
-							ticks: {
-								callback(value, index, values) {
-									return format_currency(value, null, 0);
-								}
-							}
-						}]
-					},
-					plugins: {
-						datalabels: {
-							display: false
-						}
-					},
-					tooltips: {
-						callbacks: {
-							label(tooltipItem, data) {
-								return format_currency(tooltipItem.value);
-							}
-						}
-					}
-				}
+				const index = comparisonData.labels.indexOf(label);
+				return index > -1 ? dataset.data[index] : 0;
 			});
-		}
 
-		// Daily sales trends in the last 30 days
-		new Chart($(".chart-container .chart-graphics"), {
-			type: 'line',
-			data: {
-				labels: this.getDateRangeAsArray(this.dashboardData.startDate, this.dashboardData.endDate, "week"),
-				datasets: [{
-					data: this.dashboardData.total_sales_by_week.map(elem => elem.revenue),
-					backgroundColor: colors.rgba[0],
-					borderColor: colors.hex[0],
-					borderWidth: 1.5,
-					fill: false
-				}]
-			},
-			options: {
-				legend: { display: false },
-				layout: { padding: 30 },
-				scales: {
-					xAxes: [{
-						type: 'time',
-						time: { minUnit: "month" },
-						gridLines: { display: false },
-						distribution: 'series'
-					}],
-					yAxes: [{
-						gridLines: { display: false },
-						ticks: {
-							callback(value, index, values) {
-								return format_currency(value, null, 0);
-							}
-						}
-					}]
-				},
-				plugins: {
-					datalabels: {
-						display: false
-					}
-				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(tooltipItem.value);
-						}
-					}
-				}
-			}
+			chartData.datasets.push(Object.assign({}, dataset, {
+				label: dataset.label ? `${dataset.label} (${comparisonRange})` : comparisonRange,
+				data: data,
+				comparison: true,
+				comparedDataset: i
+			}));
 		});
 
-		// Sales by territories
-		new Chart($(".category-product-info .left-chart .graphics"), {
-			type: 'doughnut',
-			data: {
-				labels: this.dashboardData.top_territories_by_revenue.map(elem => elem.territory),
-				datasets: [{
-					data: this.dashboardData.top_territories_by_revenue.map(elem => elem.grand_total),
-					backgroundColor: colors.rgba,
-					borderColor: colors.hex,
-					borderWidth: 1.5
-				}]
-			},
-			options: {
-				layout: { padding: 30 },
-				legend: { position: 'left' },
-				plugins: {
-					datalabels: {
-						display: false
-					}
-				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(data.datasets[tooltipItem.datasetIndex].data[tooltipItem.index]);
-						}
-					}
-				}
+		return chartData;
+	}
+
+	applyColors(widget, chartData) {
+		const { getColor } = bloomstack_core.insight_engine;
+
+		chartData.datasets = chartData.datasets.map((dataset, i) => {
+			// comparison periods take a fainter, dashed version of the colour they're compared to
+			const index = widget.color + (dataset.comparison ? dataset.comparedDataset : i);
+			const opacity = dataset.comparison ? 0.25 : 0.6;
+			const borderOpacity = dataset.comparison ? 0.6 : undefined;
+
+			const colors = widget.multiColor ? {
+				backgroundColor: dataset.data.map((value, j) => getColor(j, opacity)),
+				borderColor: dataset.data.map((value, j) => getColor(j, borderOpacity))
+			} : {
+				backgroundColor: getColor(index, opacity),
+				borderColor: getColor(index, borderOpacity)
+			};
+
+			const style = { borderWidth: 1.5, fill: false };
+			if (dataset.comparison) {
+				style.borderDash = [5, 5];
 			}
+
+			return Object.assign(colors, style, dataset);
 		});
 
-		// Top products
-		new Chart($(".category-product-info .right-chart .graphics"), {
-			type: 'horizontalBar',
-			data: {
-				labels: this.dashboardData.top_products_by_revenue.map(elem => elem.item),
-				datasets: [{
-					data: this.dashboardData.top_products_by_revenue.map(elem => elem.revenue),
-					backgroundColor: colors.rgba[3],
-					borderColor: colors.hex[3],
-					borderWidth: 1.5
-				}]
+		return chartData;
+	}
+
+	getChartOptions(widget) {
+		const currencyTicks = {
+			beginAtZero: true,
+			callback(value, index, values) {
+				return format_currency(value, null, 0);
+			}
+		};
+
+		// name the period in tooltips once there's more than one on the chart
+		const formatTooltip = (dataset, value) => {
+			return dataset.label ? `${dataset.label}: ${format_currency(value)}` : format_currency(value);
+		};
+
+		const options = {
+			legend: { display: false },
+			layout: { padding: 30 },
+			plugins: {
+				datalabels: {
+					display: false
+				}
 			},
-			options: {
-				legend: { display: false },
-				layout: { padding: 30 },
-				scales: {
-					xAxes: [{
-						gridLines: { display: false },
-						barThickness: 30,
-						ticks: {
-							beginAtZero: true,
-							callback(value, index, values) {
-								return format_currency(value, null, 0);
-							}
-						}
-					}],
-					yAxes: [{
-						gridLines: { display: false }
-					}]
-				},
-				plugins: {
-					datalabels: {
-						display: false
-					}
-				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(tooltipItem.value);
-						}
+			tooltips: {
+				callbacks: {
+					label(tooltipItem, data) {
+						return formatTooltip(data.datasets[tooltipItem.datasetIndex], tooltipItem.value);
 					}
 				}
 			}
+		};
+
+		if (widget.chartType === "doughnut") {
+			options.legend = { position: 'left' };
+			options.tooltips.callbacks.label = (tooltipItem, data) => {
+				const dataset = data.datasets[tooltipItem.datasetIndex];
+				return formatTooltip(dataset, dataset.data[tooltipItem.index]);
+			};
+		} else if (widget.chartType === "horizontalBar") {
+			options.scales = {
+				xAxes: [{ gridLines: { display: false }, barThickness: 30, ticks: currencyTicks }],
+				yAxes: [{ gridLines: { display: false } }]
+			};
+		} else {
+			options.scales = {
+				xAxes: [{ gridLines: { display: false } }],
+				yAxes: [{ gridLines: { display: false }, barThickness: 30, ticks: currencyTicks }]
+			};
+		}
+
+		if (this.comparison && widget.chartType !== "doughnut") {
+			options.legend = { display: true, position: 'bottom' };
+		}
+
+		if (widget.drillDown) {
+			options.onClick = (event) => { this.drillDown(widget, event) };
+			options.onHover = (event, elements) => {
+				event.target.style.cursor = elements.length ? "pointer" : "default";
+			};
+		}
+
+		return $.extend(true, options, widget.options);
+	}
+
+	drillDown(widget, event) {
+		// clicks are ignored while the layout is being rearranged
+		const chart = this.charts[widget.name];
+		const [element] = chart.getElementAtEvent(event);
+		if (!element || this.editing) {
+			return;
+		}
+
+		const dataset = chart.data.datasets[element._datasetIndex];
+		widget.drillDown({
+			index: element._index,
+			datasetIndex: element._datasetIndex,
+			label: chart.data.labels[element._index],
+			dataset: dataset
+		}, this.getSourceData(widget, dataset.comparison), this);
+	}
+
+	bindWidgetActions($container) {
+		$container.find(".widget-download").on("click", (e) => {
+			this.downloadChart($(e.currentTarget).closest(".insight-widget").attr("data-widget"));
 		});
 
-		// Top sales partners
-		new Chart($(".sales-partner-info .left-chart .graphics"), {
-			type: 'horizontalBar',
-			data: {
-				labels: this.dashboardData.top_sales_partners_by_revenue.map(elem => elem.sales_partner),
-				datasets: [{
-					data: this.dashboardData.top_sales_partners_by_revenue.map(elem => elem.grand_total),
-					backgroundColor: colors.rgba,
-					borderColor: colors.hex,
-					borderWidth: 1.5
-				}]
-			},
-			options: {
-				legend: { display: false },
-				layout: { padding: 30 },
-				scales: {
-					xAxes: [{
-						gridLines: { display: false },
-						barThickness: 30,
-						ticks: {
-							beginAtZero: true,
-							callback(value, index, values) {
-								return format_currency(value, null, 0);
-							}
-						}
-					}],
-					yAxes: [{
-						gridLines: { display: false }
-					}]
-				},
-				plugins: {
-					datalabels: {
-						display: false
-					}
-				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(tooltipItem.value);
-						}
-					}
-				}
+		$container.find(".widget-actions a").on("click", (e) => {
+			const $action = $(e.currentTarget);
+			const name = $action.closest(".insight-widget").attr("data-widget");
+			const action = $action.attr("data-action");
+
+			if (action === "move") {
+				this.moveWidget(name, cint($action.attr("data-offset")));
+			} else if (action === "resize") {
+				this.resizeWidget(name);
+			} else if (action === "remove") {
+				this.removeWidget(name);
 			}
 		});
+	}
 
-		// All invoice breakdown by status
-		new Chart($(".sales-partner-info .right-chart .graphics"), {
-			type: 'doughnut',
-			data: {
-				labels: ['Paid', 'Unpaid', 'Overdue', 'Returned', 'Credit Issued'],
-				datasets: [{
-					data: [
-						this.dashboardData.paid_invoices,
-						this.dashboardData.unpaid_invoices,
-						this.dashboardData.overdue_invoices,
-						this.dashboardData.returned_invoices,
-						this.dashboardData.credit_invoices
-					],
-					backgroundColor: colors.rgba,
-					borderColor: colors.hex,
-					borderWidth: 1.5
-				}]
-			},
-			options: {
-				layout: { padding: 30 },
-				legend: { position: 'left' },
-				plugins: {
-					datalabels: {
-						display: false
-					}
-				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(data.datasets[tooltipItem.datasetIndex].data[tooltipItem.index]);
-						}
-					}
+	getExportName() {
+		return `insight_engine_${this.filters.start_date}_${this.filters.end_date}`;
+	}
+
+	downloadChart(name) {
+		if (!this.charts[name]) {
+			return;
+		}
+
+		const link = document.createElement("a");
+		link.href = this.charts[name].toBase64Image();
+		link.download = `${this.getExportName()}_${name}.png`;
+		link.click();
+	}
+
+	exportCsv() {
+		// the KPIs and filters first, followed by a table for each series
+		const rows = [[__("KPI"), __("Value")]];
+		const series = [];
+
+		Object.keys(this.dashboardData).sort().forEach((key) => {
+			const value = this.dashboardData[key];
+
+			if (Array.isArray(value)) {
+				if (value.length) {
+					series.push(key);
 				}
+			} else if (value === null || typeof value !== "object") {
+				rows.push([key, value]);
 			}
 		});
 
-		// Top customers
-		new Chart($(".graphical-distribution .left-chart .graphics"), {
-			type: 'bar',
-			data: {
-				labels: this.dashboardData.top_customers_by_revenue.map(elem => elem.customer),
-				datasets: [{
-					data: this.dashboardData.top_customers_by_revenue.map(elem => elem.grand_total),
-					backgroundColor: colors.rgba[2],
-					borderColor: colors.hex[2],
-					borderWidth: 1.5
-				}]
-			},
-			options: {
-				legend: { display: false },
-				layout: { padding: 30 },
-				scales: {
-					xAxes: [{
-						gridLines: { display: false }
-					}],
-					yAxes: [{
-						gridLines: { display: false },
-						barThickness: 30,
-						ticks: {
-							beginAtZero: true,
-							callback(value, index, values) {
-								return format_currency(value, null, 0);
-							}
-						}
-					}]
-				},
-				plugins: {
-					datalabels: {
-						display: false
-					}
+		Object.keys(this.dashboardData.filters).forEach((key) => {
+			rows.push([key, this.dashboardData.filters[key]]);
+		});
+
+		series.forEach((key) => {
+			const columns = Object.keys(this.dashboardData[key][0]);
+			rows.push([], [key], columns);
+			this.dashboardData[key].forEach((row) => {
+				rows.push(columns.map(column => row[column]));
+			});
+		});
+
+		frappe.tools.downloadify(rows, null, this.getExportName());
+	}
+
+	exportPdf() {
+		const kpis = this.elements.parent.find("[data-kpi]").map((i, kpi) => `
+			<tr>
+				<td>${$(kpi).find(".name").text()}</td>
+				<td class="text-right">${$(kpi).find(".amount").text()}</td>
+			</tr>
+		`).get().join("");
+
+		// widgets that are still loading are left out
+		const charts = this.getVisibleWidgets()
+			.filter(({ widget }) => this.charts[widget.name])
+			.map(({ widget }) => `
+				<h4>${widget.label} ${widget.subtitle || ""} ${widget.period || ""}</h4>
+				<img src="${this.charts[widget.name].toBase64Image()}" style="width: 100%;">
+			`).join("");
+
+		frappe.render_pdf(`
+			<h2>${__("Dashboard")}</h2>
+			<p>${this.formatRange(this.filters)}</p>
+			<table class="table table-bordered">${kpis}</table>
+			${charts}
+		`, { orientation: "Portrait" });
+	}
+
+	toggleEditing(editing) {
+		this.editing = editing;
+		this.elements.page.clear_inner_toolbar();
+
+		if (editing) {
+			this.elements.page.add_inner_button(__("Add Widget"), () => { this.addWidget() });
+			this.elements.page.add_inner_button(__("Save Layout"), () => { this.saveLayout() });
+			this.elements.page.add_inner_button(__("Done"), () => { this.toggleEditing(false) });
+		}
+
+		this.renderWidgets();
+	}
+
+	moveWidget(name, offset) {
+		// move among the widgets on screen, so hidden widgets don't swallow a click
+		const visible = this.getVisibleWidgets().map(({ widget }) => widget.name);
+		const target = visible[visible.indexOf(name) + offset];
+		if (!target) {
+			return;
+		}
+
+		const from = this.layout.findIndex(row => row.widget === name);
+		const to = this.layout.findIndex(row => row.widget === target);
+		const [row] = this.layout.splice(from, 1);
+		this.layout.splice(to, 0, row);
+
+		this.renderWidgets();
+	}
+
+	resizeWidget(name) {
+		const row = this.layout.find(row => row.widget === name);
+		row.width = row.width === "Full" ? "Half" : "Full";
+		this.renderWidgets();
+	}
+
+	removeWidget(name) {
+		this.layout = this.layout.filter(row => row.widget !== name);
+		this.renderWidgets();
+	}
+
+	addWidget() {
+		const placed = this.layout.map(row => row.widget);
+		const available = this.widgets.all().filter(widget => !placed.includes(widget.name));
+
+		if (!available.length) {
+			frappe.msgprint(__("All widgets are already on the dashboard"));
+			return;
+		}
+
+		const dialog = new frappe.ui.Dialog({
+			title: __("Add Widget"),
+			fields: [
+				{
+					fieldname: "widget",
+					fieldtype: "Select",
+					label: __("Widget"),
+					reqd: 1,
+					options: available.map(widget => ({
+						value: widget.name,
+						label: [widget.label, widget.subtitle, widget.period].filter(Boolean).join(" ")
+					}))
 				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(tooltipItem.value);
-						}
-					}
+				{
+					fieldname: "width",
+					fieldtype: "Select",
+					label: __("Width"),
+					options: ["Half", "Full"],
+					default: "Half"
 				}
+			],
+			primary_action_label: __("Add"),
+			primary_action: (values) => {
+				dialog.hide();
+				this.layout.push({ widget: values.widget, width: values.width || "Half" });
+				this.make();
 			}
 		});
 
-		// Top sales by customer groups
-		new Chart($(".graphical-distribution .right-chart .graphics"), {
-			type: 'bar',
-			data: {
-				labels: this.dashboardData.top_customer_groups_by_revenue.map(elem => elem.customer_group),
-				datasets: [{
-					data: this.dashboardData.top_customer_groups_by_revenue.map(elem => elem.grand_total),
-					backgroundColor: colors.rgba[3],
-					borderColor: colors.hex[3],
-					borderWidth: 1.5
-				}]
-			},
-			options: {
-				legend: { display: false },
-				layout: { padding: 30 },
-				scales: {
-					xAxes: [{
-						gridLines: { display: false }
-					}],
-					yAxes: [{
-						gridLines: { display: false },
-						barThickness: 30,
-						ticks: {
-							beginAtZero: true,
-							callback(value, index, values) {
-								return format_currency(value, null, 0);
-							}
-						}
-					}]
-				},
-				plugins: {
-					datalabels: {
-						display: false
-					}
+		dialog.show();
+	}
+
+	saveLayout() {
+		const canShare = frappe.user.has_role("System Manager");
+
+		const save = (role) => {
+			return frappe.call({
+				method: "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.save_dashboard_layout",
+				args: {
+					widgets: this.layout,
+					role: role
+				}
+			}).then(() => {
+				frappe.show_alert({
+					indicator: "green",
+					message: role ? __("Dashboard layout saved for {0}", [role.bold()]) : __("Dashboard layout saved")
+				});
+				this.toggleEditing(false);
+			});
+		};
+
+		if (!canShare) {
+			return save();
+		}
+
+		const dialog = new frappe.ui.Dialog({
+			title: __("Save Layout"),
+			fields: [
+				{
+					fieldname: "save_for",
+					fieldtype: "Select",
+					label: __("Save For"),
+					options: ["Me", "Role"],
+					default: "Me"
 				},
-				tooltips: {
-					callbacks: {
-						label(tooltipItem, data) {
-							return format_currency(tooltipItem.value);
-						}
-					}
+				{
+					fieldname: "role",
+					fieldtype: "Link",
+					label: __("Role"),
+					options: "Role",
+					depends_on: "eval:doc.save_for == 'Role'",
+					description: __("Everyone in the role without a layout of their own will see this dashboard")
+				}
+			],
+			primary_action_label: __("Save"),
+			primary_action: (values) => {
+				if (values.save_for === "Role" && !values.role) {
+					frappe.msgprint(__("Please select a Role"));
+					return;
 				}
+
+				dialog.hide();
+				save(values.save_for === "Role" ? values.role : null);
 			}
 		});
 
-		// New customer vs total customer count by month
-		// new Chart($(".customer-distribution .left-chart .graphics"), {
-		// 	type: 'bar',
-		// 	data: {
-		// 		labels: this.dashboardData.total_customers_by_month.map(elem => elem.month),
-		// 		datasets: [
-		// 			{
-		// 				label: "New Customers",
-		// 				data: this.dashboardData.new_customers_by_month.map(elem => elem.count),
-		// 				backgroundColor: colors.rgba[2],
-		// 				borderColor: colors.hex[2],
-		// 				borderWidth: 1.5
-		// 			},
-		// 			{
-		// 				label: "Total Customers",
-		// 				data: this.dashboardData.total_customers_by_month.map(elem => elem.count),
-		// 				backgroundColor: colors.rgba[3],
-		// 				borderColor: colors.hex[3],
-		// 				borderWidth: 1.5
-		// 			}
-		// 		]
-		// 	},
-		// 	options: {
-		// 		legend: { position: 'bottom' },
-		// 		layout: { padding: 30 },
-		// 		scales: {
-		// 			xAxes: [{
-		// 				gridLines: { display: false }
-		// 			}],
-		// 			yAxes: [{
-		// 				gridLines: { display: false },
-		// 				barThickness: 30,
-		// 				ticks: {
-		// 					beginAtZero: true
-		// 				}
-		// 			}]
-		// 		}
-		// 	}
-		// });
-
-		// New customer vs total customer sales by month
-		// new Chart($(".customer-distribution .right-chart .graphics"), {
-		// 	type: 'bar',
-		// 	data: {
-		// 		labels: this.dashboardData.total_customer_sales_by_month.map(elem => elem.month),
-		// 		datasets: [
-		// 			{
-		// 				label: "New Customers",
-		// 				data: this.dashboardData.new_customer_sales_by_month.map(elem => elem.revenue),
-		// 				backgroundColor: colors.rgba[2],
-		// 				borderColor: colors.hex[2],
-		// 				borderWidth: 1.5
-		// 			},
-		// 			{
-		// 				label: "Total Customers",
-		// 				data: this.dashboardData.total_customer_sales_by_month.map(elem => elem.revenue),
-		// 				backgroundColor: colors.rgba[3],
-		// 				borderColor: colors.hex[3],
-		// 				borderWidth: 1.5
-		// 			}
-		// 		]
-		// 	},
-		// 	options: {
-		// 		legend: { position: 'bottom' },
-		// 		layout: { padding: 30 },
-		// 		scales: {
-		// 			xAxes: [{
-		// 				gridLines: { display: false }
-		// 			}],
-		// 			yAxes: [{
-		// 				gridLines: { display: false },
-		// 				barThickness: 30,
-		// 				ticks: {
-		// 					beginAtZero: true,
-		// 					callback(value, index, values) {
-		// 						return format_currency(value, null, 0);
-		// 					}
-		// 				}
-		// 			}]
-		// 		},
-		// 		plugins: {
-		// 			datalabels: {
-		// 				formatter(value, context) {
-		// 					return format_currency(value, null, 0);
-		// 				}
-		// 			}
-		// 		},
-		// 		tooltips: {
-		// 			callbacks: {
-		// 				label(tooltipItem, data) {
-		// 					return format_currency(tooltipItem.value);
-		// 				}
-		// 			}
-		// 		}
-		// 	}
-		// });
+		dialog.show();
+	}
+
+	resetLayout() {
+		frappe.confirm(__("Remove your dashboard layout and go back to the default one?"), () => {
+			frappe.call({
+				method: "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.reset_dashboard_layout"
+			}).then(() => {
+				this.layout = null;
+				this.toggleEditing(false);
+				this.make();
+			});
+		});
 	}
 }
@@ -1,79 +1,236 @@
+import hashlib
+import inspect
+import json
+import math
+from collections import OrderedDict, defaultdict
 from datetime import timedelta
 
 import frappe
-from erpnext.accounts.utils import get_balance_on
-from frappe.utils import add_days, date_diff, getdate, nowdate
+from frappe import _
+from erpnext.accounts.utils import FiscalYearError, get_balance_on, get_fiscal_year
+from frappe.utils import (add_days, add_months, cint, date_diff, flt, get_first_day, get_last_day, getdate,
+	now_datetime, nowdate)
+from frappe.utils.nestedset import get_descendants_of, get_root_of
+from six import string_types
+
+# filters that slice every aggregation on the dashboard, and the tree
+# doctypes for the ones that also cover their children
+DIMENSIONS = ("company", "territory", "customer_group", "sales_partner", "item_group")
+TREE_DIMENSIONS = {
+	"territory": "Territory",
+	"customer_group": "Customer Group",
+	"item_group": "Item Group"
+}
+
+# dashboard sections are cached under this key until a transaction they're worked out from is
+# submitted or cancelled, or a customer is added, and for an hour at most for anything else
+INSIGHT_CACHE_KEY = "insight_engine"
+INSIGHT_CACHE_EXPIRY = 60 * 60
+
+# stock moves far more often than invoices are raised, so the stock sections are cached apart
+# and dropped on every stock movement without losing the rest of the dashboard
+INVENTORY_CACHE_KEY = "insight_engine_inventory"
+INVENTORY_SECTIONS = ("inventory",)
+
+# sections worked out as on today, which are the same for every period
+UNDATED_SECTIONS = ("forecast",)
+
+# days ahead that batches are grouped by expiry, and days back that stock is grouped by age
+EXPIRY_BUCKETS = (30, 60, 90)
+AGING_BUCKETS = (30, 60, 90)
 
 
 @frappe.whitelist()
-def get_insight_engine_dashboards(start_date=None, end_date=None):
-	today = getdate(nowdate())
-	yesterday = add_days(today, -1)
+def get_insight_engine_dashboards(start_date=None, end_date=None, company=None, territory=None,
+		customer_group=None, sales_partner=None, item_group=None):
+	"""
+	Get every section of the dashboard in one go, for callers that need all
+	of it at once. The page itself loads each section separately.
+	"""
+
+	dimensions = dict(company=company, territory=territory, customer_group=customer_group,
+		sales_partner=sales_partner, item_group=item_group)
+
+	data = {}
+	for section in INSIGHT_SECTIONS:
+		data.update(get_insight(section, start_date, end_date, dimensions))
+
+	return data
+
+
+@frappe.whitelist()
+def get_kpi_data(start_date=None, end_date=None, **kwargs):
+	return get_insight("kpis", start_date, end_date, kwargs)
+
+
+@frappe.whitelist()
+def get_sales_data(start_date=None, end_date=None, **kwargs):
+	return get_insight("sales", start_date, end_date, kwargs)
+
+
+@frappe.whitelist()
+def get_customer_data(start_date=None, end_date=None, **kwargs):
+	return get_insight("customers", start_date, end_date, kwargs)
+
+
+@frappe.whitelist()
+def get_territory_data(start_date=None, end_date=None, **kwargs):
+	return get_insight("territories", start_date, end_date, kwargs)
+
+
+@frappe.whitelist()
+def get_invoice_data(start_date=None, end_date=None, **kwargs):
+	return get_insight("invoices", start_date, end_date, kwargs)
+
+
+@frappe.whitelist()
+def get_product_data(start_date=None, end_date=None, **kwargs):
+	return get_insight("products", start_date, end_date, kwargs)
+
+
+@frappe.whitelist()
+def get_forecast_data(start_date=None, end_date=None, **kwargs):
+	return get_insight("forecast", start_date, end_date, kwargs)
+
+
+@frappe.whitelist()
+def get_inventory_data(start_date=None, end_date=None, **kwargs):
+	return get_insight("inventory", start_date, end_date, kwargs)
+
+
+@frappe.whitelist()
+def get_cohort_customers(cohort, offset, end_date=None, **kwargs):
+	"""
+	Get the customers in a cell of the retention heatmap: those first invoiced
+	in the `cohort` month that were invoiced again `offset` months later.
+	"""
+
+	frappe.has_permission("Sales Invoice", "read", throw=True)
+	frappe.has_permission("Customer", "read", throw=True)
+
+	cohort = getdate(cohort)
+	month = add_months(cohort, cint(offset))
+	first_months, activity = get_customer_activity(getdate(end_date or nowdate()), get_dimension_filters(**kwargs))
+
+	revenue = {customer: months[month] for customer, months in activity.items()
+		if first_months[customer] == cohort and month in months}
+
+	if not revenue:
+		return []
+
+	customers = frappe.get_list("Customer",
+		filters={"name": ["in", list(revenue)]},
+		fields=["name AS customer", "customer_name"])
+
+	for customer in customers:
+		customer.revenue = revenue[customer.customer]
+
+	return sorted(customers, key=lambda customer: customer.revenue, reverse=True)
+
+
+def get_insight(section, start_date=None, end_date=None, dimensions=None):
+	"""
+	Get a section of the dashboard from the cache, working it out if it isn't
+	cached yet or if `refresh` is passed along with the dimensions.
+	"""
+
+	dimensions = dimensions or {}
+
+	# Default the dates to the week up to today
+	end_date = getdate(end_date or nowdate())
+	start_date = getdate(start_date) if start_date else add_days(end_date, -7)
+
+	# the forecast always runs from today, whatever period is on the dashboard
+	if section in UNDATED_SECTIONS:
+		start_date = end_date = getdate(nowdate())
+	filters = get_dimension_filters(**dimensions)
+
+	cache_key = "{0}:{1}".format(section,
+		hashlib.md5(frappe.as_json([start_date, end_date, filters]).encode("utf-8")).hexdigest())
+
+	cache_name = INVENTORY_CACHE_KEY if section in INVENTORY_SECTIONS else INSIGHT_CACHE_KEY
+
+	data = None if cint(dimensions.get("refresh")) else frappe.cache().hget(cache_name, cache_key)
+	if data is None:
+		data = INSIGHT_SECTIONS[section](start_date, end_date, filters)
+		data["refreshed_on"] = now_datetime()
+		cache_insight(cache_name, cache_key, data)
+
+	return data
+
+
+def cache_insight(cache_name, cache_key, data):
+	"""
+	Cache a dashboard section. The whole cache expires an hour after its first
+	section was cached, which also keeps it from growing with every period and
+	filter looked at.
+	"""
+
+	cache = frappe.cache()
+	cache.hset(cache_name, cache_key, data)
+
+	# the expiry is only set once, so caching more sections doesn't keep putting it off
+	key = cache.make_key(cache_name)
+	if cache.ttl(key) < 0:
+		cache.expire(key, INSIGHT_CACHE_EXPIRY)
+
+
+def clear_insight_cache(doc=None, method=None):
+	"""
+	Drop the cached dashboard sections, since submitting or cancelling an
+	order, invoice, payment or journal entry, or adding a customer, changes
+	the figures they were worked out from. The stock sections go too, as
+	days of inventory depend on what was sold.
+	"""
+
+	frappe.cache().delete_key(INSIGHT_CACHE_KEY)
+	clear_inventory_cache()
+
+
+def clear_inventory_cache(doc=None, method=None):
+	"""
+	Drop only the cached stock sections when stock moves or a batch changes.
+	"""
+
+	frappe.cache().delete_key(INVENTORY_CACHE_KEY)
+
+
+def get_kpis(start_date, end_date, filters):
+	# KPIs are worked out as on the end date, so that they can be compared between periods
+	today = end_date
 	last_week = add_days(today, -7)
 	last_month = add_days(today, -30)
 
-	# Default the dates to a week
-	if not end_date:
-		end_date = today
-	if not start_date:
-		start_date = last_week
-
-	date_range = (getdate(start_date), getdate(end_date))
-
-	new_customer_details = get_new_customer_details()
-	yesterdays_revenue = get_revenue_by_date(yesterday)
-	weekly_revenue = get_revenue_by_date_range(last_week, today)
-	monthly_revenue = get_revenue_by_date_range(last_month, today)
-	top_products = get_top_products(*date_range)
-	top_customers = get_top_customers(*date_range)
-	top_customer_groups = get_top_customer_groups(*date_range)
-	top_territories = get_top_territories(*date_range)
-	top_sales_partners = get_top_sales_partners(*date_range)
-	total_sales = get_sales_by_date_range(*date_range)
-	pending_invoices = get_pending_invoices(*date_range)
-	cash_on_hand = get_cash_on_hand()
-	order_conversion_rate = get_order_conversion_rate()
-
-	total_invoices = frappe.db.count("Sales Invoice", filters={"docstatus": 1})
-	total_skus = frappe.db.count("Item", filters={"is_sales_item": 1, "disabled": 0})
-	total_items_sold = frappe.db.get_value("Sales Invoice Item", filters={"docstatus": 1}, fieldname="SUM(qty)")
+	weekly_revenue = get_revenue_by_date_range(last_week, today, filters)
+	monthly_revenue = get_revenue_by_date_range(last_month, today, filters)
+
+	return {
+		"yesterday_revenue": get_revenue_by_date(add_days(today, -1), filters),
+		"total_weekly_revenue": weekly_revenue.get("total", 0),
+		"average_weekly_revenue": weekly_revenue.get("average", 0),
+		"total_monthly_revenue": monthly_revenue.get("total", 0),
+		"average_monthly_revenue": monthly_revenue.get("average", 0),
+		"total_invoices": get_invoice_count(today, filters),
+		"cash_on_hand": get_cash_on_hand(today, filters),
+		"order_conversion_rate": get_order_conversion_rate(today, filters),
+		"total_skus": get_sales_item_count(today, filters),
+		"total_items_sold": get_items_sold(today, filters)
+	}
+
+
+def get_sales(start_date, end_date, filters):
+	total_sales = get_sales_by_date_range(start_date, end_date, filters=filters)
 
 	# get upsell sales reporting from other apps
 	total_upsell_sales = {}
 	insight_engine_hooks = frappe.get_hooks('insight_engine')
 	if insight_engine_hooks and isinstance(insight_engine_hooks, dict):
-		upsell_hooks = insight_engine_hooks.get("total_upsell_sales")
+		upsell_hooks = insight_engine_hooks.get("total_upsell_sales") or []
 
 		for fn in upsell_hooks:
-			total_upsell_sales = frappe.get_attr(fn)(*date_range)
+			total_upsell_sales = get_upsell_sales(fn, start_date, end_date, filters)
 
 	return {
-		"new_customers_by_month": new_customer_details.get("new_count_by_month"),
-		"total_customers_by_month": new_customer_details.get("total_count_by_month"),
-		"new_customer_sales_by_month": new_customer_details.get("new_sales_by_month"),
-		"total_customer_sales_by_month": new_customer_details.get("total_sales_by_month"),
-		"yesterday_revenue": yesterdays_revenue,
-		"total_weekly_revenue": weekly_revenue.get("total", 0),
-		"average_weekly_revenue": weekly_revenue.get("average", 0),
-		"total_monthly_revenue": monthly_revenue.get("total", 0),
-		"average_monthly_revenue": monthly_revenue.get("average", 0),
-		"top_customers_by_revenue": top_customers.get("revenue"),
-		"top_customer_groups_by_revenue": top_customer_groups.get("revenue"),
-		"top_territories_by_revenue": top_territories.get("revenue"),
-		"top_sales_partners_by_revenue": top_sales_partners.get("revenue"),
-		"top_products_by_revenue": top_products.get("revenue"),
-		"top_products_by_volume": top_products.get("by_volume"),
-		"top_products_by_time": top_products.get("by_time"),
-		"total_invoices": total_invoices,
-		"paid_invoices": pending_invoices.get("paid_invoices"),
-		"unpaid_invoices": pending_invoices.get("unpaid_invoices"),
-		"overdue_invoices": pending_invoices.get("overdue_invoices"),
-		"returned_invoices": pending_invoices.get("returned_invoices"),
-		"credit_invoices": pending_invoices.get("credit_invoices"),
-		"cash_on_hand": cash_on_hand,
-		"order_conversion_rate": order_conversion_rate,
-		"total_skus": total_skus,
-		"total_items_sold": total_items_sold,
 		# split total sales by different time periods
 		"total_sales_by_day": total_sales.get("daily"),
 		"total_sales_by_week": total_sales.get("weekly"),
@@ -87,14 +244,334 @@ def get_insight_engine_dashboards(start_date=None, end_date=None):
 	}
 
 
-def get_new_customer_details():
+def get_upsell_sales(fn, start_date, end_date, filters):
+	"""
+	Call a `total_upsell_sales` hook as `fn(start_date, end_date, filters=None)`.
+
+	`filters` are the dashboard's dimension filters from `get_dimension_filters`.
+	They're only passed to hooks that take them, so hooks written for the date
+	range alone still work.
+	"""
+
+	hook = frappe.get_attr(fn)
+	argspec = inspect.getargspec(hook)
+
+	if "filters" in argspec.args or argspec.keywords:
+		return hook(start_date, end_date, filters=filters)
+
+	return hook(start_date, end_date)
+
+
+def get_customers(start_date, end_date, filters):
+	new_customer_details = get_new_customer_details(filters)
+
+	return {
+		"new_customers_by_month": new_customer_details.get("new_count_by_month"),
+		"total_customers_by_month": new_customer_details.get("total_count_by_month"),
+		"new_customer_sales_by_month": new_customer_details.get("new_sales_by_month"),
+		"total_customer_sales_by_month": new_customer_details.get("total_sales_by_month"),
+		"top_customers_by_revenue": get_top_customers(start_date, end_date, filters=filters).get("revenue"),
+		"top_customer_groups_by_revenue": get_top_customer_groups(start_date, end_date,
+			filters=filters).get("revenue"),
+		"customer_cohorts": get_customer_cohorts(start_date, end_date, filters)
+	}
+
+
+def get_territories(start_date, end_date, filters):
+	return {
+		"top_territories_by_revenue": get_top_territories(start_date, end_date, filters=filters).get("revenue"),
+		"top_sales_partners_by_revenue": get_top_sales_partners(start_date, end_date,
+			filters=filters).get("revenue")
+	}
+
+
+def get_invoices(start_date, end_date, filters):
+	pending_invoices = get_pending_invoices(start_date, end_date, filters=filters)
+
+	return {
+		"paid_invoices": pending_invoices.get("paid_invoices"),
+		"unpaid_invoices": pending_invoices.get("unpaid_invoices"),
+		"overdue_invoices": pending_invoices.get("overdue_invoices"),
+		"returned_invoices": pending_invoices.get("returned_invoices"),
+		"credit_invoices": pending_invoices.get("credit_invoices")
+	}
+
+
+def get_products(start_date, end_date, filters):
+	top_products = get_top_products(start_date, end_date, filters=filters)
+
+	return {
+		"top_products_by_revenue": top_products.get("revenue"),
+		"top_products_by_volume": top_products.get("by_volume"),
+		"top_products_by_time": top_products.get("by_time")
+	}
+
+
+def get_forecast(start_date, end_date, filters):
+	revenue_forecast = get_revenue_forecast(end_date, filters)
+
+	return {
+		"revenue_forecast": revenue_forecast,
+		# projected revenue for the rest of the fiscal year, against the sales target
+		"fiscal_year": revenue_forecast.get("fiscal_year"),
+		"projected_revenue": revenue_forecast.get("projected_revenue"),
+		"target_revenue": revenue_forecast.get("target_revenue"),
+		"target_attainment": revenue_forecast.get("target_attainment")
+	}
+
+
+def get_inventory(start_date, end_date, filters):
+	# stock is worked out as on the end date, like the KPIs
+	item_stock = get_item_stock(end_date, filters)
+
+	return {
+		"stock_value_by_warehouse": get_stock_value_by_warehouse(end_date, filters),
+		"slow_moving_items": get_slow_moving_items(end_date, item_stock),
+		"expiring_batches": get_expiring_batches(end_date, filters),
+		"stock_aging": get_stock_aging(end_date, item_stock, filters),
+		"days_of_inventory": get_days_of_inventory(start_date, end_date, item_stock, filters=filters)
+	}
+
+
+# sections of the dashboard that are loaded and cached separately
+INSIGHT_SECTIONS = OrderedDict([
+	("kpis", get_kpis),
+	("sales", get_sales),
+	("customers", get_customers),
+	("territories", get_territories),
+	("invoices", get_invoices),
+	("products", get_products),
+	("forecast", get_forecast),
+	("inventory", get_inventory)
+])
+
+
+def get_series_rows(data):
+	"""
+	Flatten dashboard data into CSV rows: the KPIs first, followed by
+	a table for each series.
+	"""
+
+	rows = [["KPI", "Value"]]
+	series = []
+
+	for key in sorted(data):
+		value = data[key]
+
+		if isinstance(value, list):
+			if value:
+				series.append(key)
+		elif not isinstance(value, dict):
+			rows.append([key, value])
+
+	for key in series:
+		columns = list(data[key][0].keys())
+		rows.extend([[], [key], columns])
+		rows.extend([[row.get(column) for column in columns] for row in data[key]])
+
+	return rows
+
+
+def get_dimension_filters(**kwargs):
+	"""
+	Get the dimensions the dashboard is sliced by as lists of values, with
+	tree dimensions expanded to include everything under them.
+	"""
+
+	filters = frappe._dict()
+
+	for dimension in DIMENSIONS:
+		value = kwargs.get(dimension)
+		if not value:
+			continue
+
+		if dimension in TREE_DIMENSIONS:
+			filters[dimension] = [value] + get_descendants_of(TREE_DIMENSIONS[dimension], value)
+		else:
+			filters[dimension] = [value]
+
+	return filters
+
+
+def get_transaction_conditions(filters, alias="si", item_alias=None, doctype="Sales Invoice"):
+	"""
+	Get SQL conditions to apply dimension filters to sales transactions.
+
+	Item groups are matched against the `item_alias` row when the query works
+	on transaction items, or else any item on the transaction.
+	"""
+
+	conditions = []
+
+	for dimension in ("company", "territory", "customer_group", "sales_partner"):
+		if filters.get(dimension):
+			conditions.append("{0}.{1} IN %({1})s".format(alias, dimension))
+
+	if filters.get("item_group"):
+		if item_alias:
+			conditions.append("{0}.item_group IN %(item_group)s".format(item_alias))
+		else:
+			conditions.append("""EXISTS (
+				SELECT
+					name
+				FROM
+					`tab{0} Item`
+				WHERE
+					parent = {1}.name
+						AND item_group IN %(item_group)s
+			)""".format(doctype, alias))
+
+	return "".join(" AND " + condition for condition in conditions)
+
+
+def get_customer_conditions(filters, alias="cust"):
+	"""
+	Get SQL conditions to apply dimension filters to customers, which have
+	no company and are matched against their default sales partner.
+	"""
+
+	conditions = []
+
+	for dimension in ("territory", "customer_group"):
+		if filters.get(dimension):
+			conditions.append("{0}.{1} IN %({1})s".format(alias, dimension))
+
+	if filters.get("sales_partner"):
+		conditions.append("{0}.default_sales_partner IN %(sales_partner)s".format(alias))
+
+	return "".join(" AND " + condition for condition in conditions)
+
+
+def get_stock_conditions(filters):
+	"""
+	Get SQL conditions to apply dimension filters to stock ledger entries,
+	joined to their item. Only the company and item group apply to stock.
+	"""
+
+	conditions = ""
+
+	if filters.get("company"):
+		conditions += " AND sle.company IN %(company)s"
+
+	if filters.get("item_group"):
+		conditions += " AND item.item_group IN %(item_group)s"
+
+	return conditions
+
+
+def get_payment_conditions(filters):
+	"""
+	Get SQL conditions to apply dimension filters to received payments,
+	through the customer that paid them. Item groups don't apply.
+	"""
+
+	conditions = ""
+
+	if filters.get("company"):
+		conditions += " AND pe.company IN %(company)s"
+
+	customer_conditions = get_customer_conditions(filters)
+	if customer_conditions:
+		conditions += """ AND pe.party_type = 'Customer' AND pe.party IN (
+			SELECT
+				cust.name
+			FROM
+				`tabCustomer` cust
+			WHERE
+				1 = 1{0}
+		)""".format(customer_conditions)
+
+	return conditions
+
+
+@frappe.whitelist()
+def get_dashboard_layout():
+	"""
+	Get the Insight Engine layout for the current user, falling back to
+	the most recently updated layout shared with one of their roles.
+	"""
+
+	layout = frappe.db.get_value("Insight Engine Layout", {"user": frappe.session.user})
+
+	if not layout:
+		role_layouts = frappe.get_all("Insight Engine Layout",
+			filters={"role": ["IN", frappe.get_roles()]},
+			order_by="modified DESC",
+			limit=1)
+		layout = role_layouts[0].name if role_layouts else None
+
+	if not layout:
+		return
+
+	layout = frappe.get_doc("Insight Engine Layout", layout)
+	return {
+		"user": layout.user,
+		"role": layout.role,
+		"widgets": [{"widget": row.widget, "width": row.width} for row in layout.widgets]
+	}
+
+
+@frappe.whitelist()
+def save_dashboard_layout(widgets, role=None):
+	"""
+	Save the Insight Engine widgets, in order, for the current user or, for
+	System Managers, for everyone in a role.
+	"""
+
+	if isinstance(widgets, string_types):
+		widgets = json.loads(widgets)
+
+	if role:
+		frappe.only_for("System Manager")
+		filters = {"role": role}
+	else:
+		filters = {"user": frappe.session.user}
+
+	name = frappe.db.get_value("Insight Engine Layout", filters)
+	if name:
+		layout = frappe.get_doc("Insight Engine Layout", name)
+	else:
+		layout = frappe.new_doc("Insight Engine Layout")
+		layout.update(filters)
+
+	layout.set("widgets", [])
+	for widget in widgets:
+		if not widget.get("widget"):
+			frappe.throw(_("Every widget in the layout needs a name"))
+
+		layout.append("widgets", {
+			"widget": widget.get("widget"),
+			"width": widget.get("width") or "Half"
+		})
+
+	layout.save(ignore_permissions=True)
+
+
+@frappe.whitelist()
+def reset_dashboard_layout():
+	"""
+	Remove the current user's Insight Engine layout, so they see their
+	role's layout or the default one.
+	"""
+
+	layout = frappe.db.get_value("Insight Engine Layout", {"user": frappe.session.user})
+	if layout:
+		frappe.delete_doc("Insight Engine Layout", layout, ignore_permissions=True)
+
+
+def get_new_customer_details(filters):
+	customer_conditions = get_customer_conditions(filters)
+	invoice_conditions = get_transaction_conditions(filters)
+
 	total_customer_count_by_month = frappe.db.sql("""
 		WITH data AS (
 			SELECT
-				COUNT(customer_name) AS count,
-				DATE_FORMAT(creation, '%b') AS month
+				COUNT(cust.customer_name) AS count,
+				DATE_FORMAT(cust.creation, '%%b') AS month
 			FROM
-				`tabCustomer`
+				`tabCustomer` cust
+			WHERE
+				1 = 1{0}
 			GROUP BY
 				month
 		)
@@ -104,28 +581,30 @@ def get_new_customer_details():
 			SUM(count) OVER (ORDER BY month) AS count
 		FROM
 			data
-	""", as_dict=True)
+	""".format(customer_conditions), filters, as_dict=True)
 
 	new_customer_count_by_month = frappe.db.sql("""
 		SELECT
-			COUNT(customer_name) AS count,
-			DATE_FORMAT(creation, '%b') AS month
+			COUNT(cust.customer_name) AS count,
+			DATE_FORMAT(cust.creation, '%%b') AS month
 		FROM
-			`tabCustomer`
+			`tabCustomer` cust
+		WHERE
+			1 = 1{0}
 		GROUP BY
-			MONTH(creation)
-	""", as_dict=True)
+			MONTH(cust.creation)
+	""".format(customer_conditions), filters, as_dict=True)
 
 	total_customer_sales_by_month = frappe.db.sql("""
 		WITH data AS (
 			SELECT
-				SUM(grand_total) AS revenue,
-				DATE_FORMAT(creation, '%b') AS month,
-				DATE(creation) AS date
+				SUM(si.grand_total) AS revenue,
+				DATE_FORMAT(si.creation, '%%b') AS month,
+				DATE(si.creation) AS date
 			FROM
-				`tabSales Invoice`
+				`tabSales Invoice` si
 			WHERE
-				docstatus = 1
+				si.docstatus = 1{0}
 			GROUP BY
 				month
 		)
@@ -137,7 +616,7 @@ def get_new_customer_details():
 			data
 		ORDER BY
 			date
-	""", as_dict=True)
+	""".format(invoice_conditions), filters, as_dict=True)
 
 	# avert your eyes
 	new_customer_sales_by_month = frappe.db.sql("""
@@ -146,7 +625,7 @@ def get_new_customer_details():
 		*/
 		SELECT revenue, month FROM (SELECT
 			SUM(si.grand_total) AS revenue,
-			DATE_FORMAT(si.creation, '%b') AS month,
+			DATE_FORMAT(si.creation, '%%b') AS month,
 			DATE(si.creation) AS date
 		FROM
 			`tabSales Invoice` AS si
@@ -154,7 +633,7 @@ def get_new_customer_details():
 					ON si.customer = cust.name
 		WHERE
 			si.docstatus = 1
-				AND MONTH(cust.creation) = MONTH(si.posting_date)
+				AND MONTH(cust.creation) = MONTH(si.posting_date){0}
 
 		UNION
 
@@ -164,7 +643,7 @@ def get_new_customer_details():
 		*/
 		SELECT
 			0 AS revenue,
-			DATE_FORMAT(creation, '%b') AS month,
+			DATE_FORMAT(creation, '%%b') AS month,
 			DATE(creation) AS date
 		FROM
 			`tabSales Invoice`) data
@@ -172,7 +651,7 @@ def get_new_customer_details():
 			month
 		ORDER BY
 			date
-	""", as_dict=True)
+	""".format(invoice_conditions), filters, as_dict=True)
 
 	return {
 		"total_count_by_month": total_customer_count_by_month,
@@ -182,21 +661,87 @@ def get_new_customer_details():
 	}
 
 
-def get_revenue_by_date(date):
-	return frappe.db.get_value("Payment Entry",
-		{"posting_date": date, "docstatus": 1, "payment_type": "Receive"},
-		"sum(paid_amount)")
+def get_customer_activity(date, filters):
+	"""
+	Get the month each customer was first invoiced in, and their revenue in
+	every month they were invoiced, up to the given date.
+	"""
+
+	invoices = frappe.db.sql("""
+		SELECT
+			si.customer,
+			DATE_FORMAT(si.posting_date, '%%Y-%%m-01') AS month,
+			SUM(si.grand_total) AS revenue
+		FROM
+			`tabSales Invoice` si
+		WHERE
+			si.docstatus = 1
+				AND si.is_return = 0
+				AND si.posting_date <= %(date)s{0}
+		GROUP BY
+			si.customer, month
+		ORDER BY
+			month
+	""".format(get_transaction_conditions(filters)), dict(filters, date=date), as_dict=True)
+
+	first_months = {}
+	activity = defaultdict(dict)
+
+	for row in invoices:
+		month = getdate(row.month)
+		first_months.setdefault(row.customer, month)
+		activity[row.customer][month] = flt(row.revenue)
+
+	return first_months, activity
+
 
+def get_customer_cohorts(start_date, end_date, filters, months=12):
+	"""
+	Group the customers first invoiced within the period by that month, with
+	how many of each group were invoiced again, and for how much, in each of
+	the `months` months after.
+	"""
+
+	first_months, activity = get_customer_activity(end_date, filters)
+	start_month = get_first_day(start_date)
+
+	cohorts = defaultdict(list)
+	for customer, first_month in first_months.items():
+		if first_month >= start_month:
+			cohorts[first_month].append(customer)
+
+	rows = []
+	for cohort in sorted(cohorts):
+		customers = cohorts[cohort]
+		elapsed = (end_date.year - cohort.year) * 12 + end_date.month - cohort.month
+
+		retention = []
+		for offset in range(min(months, elapsed) + 1):
+			month = add_months(cohort, offset)
+			active = [customer for customer in customers if month in activity[customer]]
+
+			retention.append({
+				"offset": offset,
+				"customers": len(active),
+				"retention": len(active) * 100.0 / len(customers),
+				"revenue": sum(activity[customer][month] for customer in active)
+			})
 
-def get_revenue_by_date_range(start_date, end_date):
-	payments = frappe.get_all("Payment Entry",
-		{"posting_date": ["BETWEEN", [start_date, end_date]], "docstatus": 1, "payment_type": "Receive"},
-		["sum(paid_amount) AS paid_amount"])
+		rows.append({
+			"cohort": cohort,
+			"customers": len(customers),
+			"months": retention
+		})
 
-	paid_amount = 0
-	if payments:
-		paid_amount = payments[0].paid_amount or 0
+	return rows
 
+
+def get_revenue_by_date(date, filters):
+	return get_paid_amount(date, date, filters)
+
+
+def get_revenue_by_date_range(start_date, end_date, filters):
+	paid_amount = get_paid_amount(start_date, end_date, filters)
 	average = paid_amount / date_diff(end_date, start_date)
 
 	return {
@@ -205,15 +750,81 @@ def get_revenue_by_date_range(start_date, end_date):
 	}
 
 
-def get_cash_on_hand():
-	cash_accounts = frappe.get_all("Account", filters={"account_type": "Cash", "root_type": "Asset", "is_group": 0})
-	cash_on_hand = sum([get_balance_on(account.name) for account in cash_accounts])
+def get_paid_amount(start_date, end_date, filters):
+	payments = frappe.db.sql("""
+		SELECT
+			SUM(pe.paid_amount)
+		FROM
+			`tabPayment Entry` pe
+		WHERE
+			pe.docstatus = 1
+				AND pe.payment_type = 'Receive'
+				AND pe.posting_date BETWEEN %(start_date)s AND %(end_date)s{0}
+	""".format(get_payment_conditions(filters)), dict(filters, start_date=start_date, end_date=end_date))
+
+	return (payments[0][0] or 0) if payments else 0
+
+
+def get_cash_on_hand(date, filters):
+	account_filters = {"account_type": "Cash", "root_type": "Asset", "is_group": 0}
+	if filters.get("company"):
+		account_filters["company"] = ["IN", filters.company]
+
+	cash_accounts = frappe.get_all("Account", filters=account_filters)
+	cash_on_hand = sum([get_balance_on(account.name, date) for account in cash_accounts])
 	return cash_on_hand
 
 
-def get_order_conversion_rate():
-	sales_orders = frappe.db.count("Sales Order", filters={"docstatus": 1})
-	sales_invoices = frappe.db.count("Sales Invoice", filters={"docstatus": 1})
+def get_invoice_count(date, filters):
+	invoices = frappe.db.sql("""
+		SELECT
+			COUNT(si.name)
+		FROM
+			`tabSales Invoice` si
+		WHERE
+			si.docstatus = 1
+				AND si.posting_date <= %(date)s{0}
+	""".format(get_transaction_conditions(filters)), dict(filters, date=date))
+
+	return invoices[0][0] if invoices else 0
+
+
+def get_sales_item_count(date, filters):
+	item_filters = {"is_sales_item": 1, "disabled": 0, "creation": ["<", add_days(date, 1)]}
+	if filters.get("item_group"):
+		item_filters["item_group"] = ["IN", filters.item_group]
+
+	return frappe.db.count("Item", filters=item_filters)
+
+
+def get_items_sold(date, filters):
+	items_sold = frappe.db.sql("""
+		SELECT
+			SUM(si_item.qty)
+		FROM
+			`tabSales Invoice` si
+				LEFT JOIN `tabSales Invoice Item` si_item
+					ON si.name = si_item.parent
+		WHERE
+			si.docstatus = 1
+				AND si.posting_date <= %(date)s{0}
+	""".format(get_transaction_conditions(filters, item_alias="si_item")), dict(filters, date=date))
+
+	return items_sold[0][0] if items_sold else 0
+
+
+def get_order_conversion_rate(date, filters):
+	sales_orders = frappe.db.sql("""
+		SELECT
+			COUNT(so.name)
+		FROM
+			`tabSales Order` so
+		WHERE
+			so.docstatus = 1
+				AND so.transaction_date <= %(date)s{0}
+	""".format(get_transaction_conditions(filters, alias="so", doctype="Sales Order")), dict(filters, date=date))[0][0]
+
+	sales_invoices = get_invoice_count(date, filters)
 
 	if sales_orders:
 		return sales_invoices / sales_orders * 100
@@ -221,26 +832,30 @@ def get_order_conversion_rate():
 		return 0
 
 
-def get_sales_by_date_range(start_date, end_date):
+def get_sales_by_date_range(start_date, end_date, filters):
 	query = """
 		SELECT
-			SUM(grand_total) AS revenue,
-			SUM(total_qty) AS volume,
-			{0}(posting_date) AS period,
-			YEAR(posting_date) AS year
+			SUM(si.grand_total) AS revenue,
+			SUM(si.total_qty) AS volume,
+			{0}(si.posting_date) AS period,
+			YEAR(si.posting_date) AS year,
+			MIN(si.posting_date) AS date
 		FROM
-			`tabSales Invoice`
+			`tabSales Invoice` si
 		WHERE
-			docstatus = 1
-				AND posting_date BETWEEN %(start_date)s AND %(end_date)s
+			si.docstatus = 1
+				AND si.posting_date BETWEEN %(start_date)s AND %(end_date)s{1}
 		GROUP BY
-			YEAR(posting_date), {0}(posting_date) ASC
+			YEAR(si.posting_date), {0}(si.posting_date) ASC
 	"""
 
-	daily_sales = frappe.db.sql(query.format("DATE"), {"start_date": start_date, "end_date": end_date}, as_dict=True)
-	weekly_sales = frappe.db.sql(query.format("WEEK"), {"start_date": start_date, "end_date": end_date}, as_dict=True)
-	monthly_sales = frappe.db.sql(query.format("MONTH"), {"start_date": start_date, "end_date": end_date}, as_dict=True)
-	yearly_sales = frappe.db.sql(query.format("YEAR"), {"start_date": start_date, "end_date": end_date}, as_dict=True)
+	conditions = get_transaction_conditions(filters)
+	values = dict(filters, start_date=start_date, end_date=end_date)
+
+	daily_sales = frappe.db.sql(query.format("DATE", conditions), values, as_dict=True)
+	weekly_sales = frappe.db.sql(query.format("WEEK", conditions), values, as_dict=True)
+	monthly_sales = frappe.db.sql(query.format("MONTH", conditions), values, as_dict=True)
+	yearly_sales = frappe.db.sql(query.format("YEAR", conditions), values, as_dict=True)
 
 	return {
 		"daily": daily_sales,
@@ -250,9 +865,213 @@ def get_sales_by_date_range(start_date, end_date):
 	}
 
 
-def get_top_products(start_date, end_date, limit=10):
+def get_revenue_forecast(date, filters):
+	"""
+	Project revenue for the rest of the fiscal year from the monthly revenue
+	of the last three years, and set it against the fiscal year's sales target.
+
+	Months that have ended are actuals, and the rest are forecast. Every series
+	is returned with a value for each month of the fiscal year, and `None` for
+	months it doesn't cover.
+	"""
+
+	date = getdate(date)
+	fiscal_year, year_start_date, year_end_date = get_fiscal_year_dates(date, filters)
+
+	months = []
+	month = get_first_day(year_start_date)
+	while month <= year_end_date:
+		months.append(month)
+		month = add_months(month, 1)
+
+	revenue_by_month = get_revenue_by_month(add_months(months[0], -36), date, filters)
+	history = []
+	month = min(revenue_by_month) if revenue_by_month else months[0]
+	while get_last_day(month) <= date:
+		history.append(revenue_by_month.get(month, 0))
+		month = add_months(month, 1)
+
+	# the first month without a full month of actuals is the first one forecast
+	first_forecast = next((i for i, month in enumerate(months) if get_last_day(month) > date), len(months))
+	forecast = forecast_revenue(history, [month.month for month in months[first_forecast:]])
+
+	actual = [revenue_by_month.get(month, 0) if month <= date else None for month in months]
+	forecast_series = [None] * len(months)
+	lower = [None] * len(months)
+	upper = [None] * len(months)
+
+	for i, (value, low, high) in enumerate(forecast):
+		forecast_series[first_forecast + i] = value
+		lower[first_forecast + i] = low
+		upper[first_forecast + i] = high
+
+	# start the forecast from the last actual, so the lines join up
+	if first_forecast > 0:
+		last_actual = actual[first_forecast - 1]
+		forecast_series[first_forecast - 1] = lower[first_forecast - 1] = upper[first_forecast - 1] = last_actual
+
+	projected_revenue = sum(actual[:first_forecast]) + sum(value for value, low, high in forecast)
+	target = get_sales_target(fiscal_year, months, filters)
+	target_revenue = sum(target)
+
+	return {
+		"fiscal_year": fiscal_year,
+		"months": months,
+		"actual": actual,
+		"forecast": forecast_series,
+		"lower": lower,
+		"upper": upper,
+		"target": target if target_revenue else [],
+		"projected_revenue": projected_revenue,
+		"target_revenue": target_revenue,
+		"target_attainment": (projected_revenue / target_revenue * 100) if target_revenue else 0
+	}
+
+
+def get_fiscal_year_dates(date, filters):
+	company = filters.company[0] if len(filters.get("company") or []) == 1 else None
+
+	try:
+		return get_fiscal_year(date, verbose=0, company=company)
+	except FiscalYearError:
+		# without a fiscal year, fall back to the calendar year
+		return str(date.year), date.replace(month=1, day=1), date.replace(month=12, day=31)
+
+
+def get_revenue_by_month(start_date, end_date, filters):
+	revenue = frappe.db.sql("""
+		SELECT
+			DATE_FORMAT(si.posting_date, '%%Y-%%m-01') AS month,
+			SUM(si.grand_total) AS revenue
+		FROM
+			`tabSales Invoice` si
+		WHERE
+			si.docstatus = 1
+				AND si.posting_date BETWEEN %(start_date)s AND %(end_date)s{0}
+		GROUP BY
+			month
+	""".format(get_transaction_conditions(filters)),
+		dict(filters, start_date=start_date, end_date=end_date), as_dict=True)
+
+	return {getdate(row.month): flt(row.revenue) for row in revenue}
+
+
+def forecast_revenue(history, months):
+	"""
+	Forecast revenue for the given calendar months following a monthly
+	revenue history, as (forecast, lower, upper) for each month.
+
+	Revenue is adjusted for seasonality when there are two years of history,
+	and the recent trend of the adjusted revenue is projected forward. The
+	band is a 95% interval on the fit that widens for later months.
+	"""
+
+	if not history:
+		return [(0, 0, 0) for month in months]
+
+	# calendar month of each month in the history, counting back from the last one
+	last_month = (months[0] - 2) % 12 + 1 if months else 12
+	history_months = [(last_month - len(history) + i) % 12 + 1 for i in range(len(history))]
+	seasonality = get_seasonal_indices(history, history_months)
+
+	adjusted = [revenue / seasonality[month] for revenue, month in zip(history, history_months)]
+	recent = adjusted[-24:]
+	offset = len(adjusted) - len(recent)
+
+	# least squares line through the recent seasonally adjusted revenue
+	count = len(recent)
+	mean_x = (count - 1) / 2.0
+	mean_y = sum(recent) / count
+	variance = sum((x - mean_x) ** 2 for x in range(count))
+	slope = sum((x - mean_x) * (y - mean_y) for x, y in enumerate(recent)) / variance if variance else 0
+	intercept = mean_y - slope * mean_x
+
+	residuals = [history[offset + x] - (intercept + slope * x) * seasonality[history_months[offset + x]]
+		for x in range(count)]
+	deviation = math.sqrt(sum(residual ** 2 for residual in residuals) / max(count - 2, 1))
+
+	forecast = []
+	for step, month in enumerate(months, 1):
+		value = max((intercept + slope * (count - 1 + step)) * seasonality[month], 0)
+		margin = 1.96 * deviation * math.sqrt(step)
+		forecast.append((value, max(value - margin, 0), value + margin))
+
+	return forecast
+
+
+def get_seasonal_indices(history, history_months):
+	"""
+	Get each calendar month's revenue as a share of the centred 12-month
+	moving average around it, so the trend isn't mistaken for seasonality.
+	"""
+
+	# with less than two years there's no telling seasonality from noise
+	if len(history) < 24:
+		return {month: 1 for month in range(1, 13)}
+
+	shares = defaultdict(list)
+
+	for i in range(6, len(history) - 6):
+		average = (0.5 * history[i - 6] + sum(history[i - 5:i + 6]) + 0.5 * history[i + 6]) / 12.0
+		if average > 0:
+			shares[history_months[i]].append(history[i] / average)
+
+	indices = {month: (sum(shares[month]) / len(shares[month])) if shares[month] else 1 for month in range(1, 13)}
+	if not all(indices.values()):
+		return {month: 1 for month in range(1, 13)}
+
+	# scale the indices to average out at 1
+	scale = sum(indices.values()) / 12.0
+	return {month: index / scale for month, index in indices.items()}
+
+
+def get_sales_target(fiscal_year, months, filters):
+	"""
+	Get the monthly sales target for the fiscal year, from the targets set on the
+	filtered sales partner or territory, or else the root territory, spread over
+	the months by their monthly distribution.
+	"""
+
+	if filters.get("sales_partner"):
+		parenttype, parent = "Sales Partner", filters.sales_partner[0]
+	elif filters.get("territory"):
+		parenttype, parent = "Territory", filters.territory[0]
+	else:
+		parenttype, parent = "Territory", get_root_of("Territory")
+
+	target_filters = {"parenttype": parenttype, "parent": parent, "fiscal_year": fiscal_year}
+	if filters.get("item_group"):
+		target_filters["item_group"] = ["IN", filters.item_group]
+
+	targets = frappe.get_all("Target Detail", filters=target_filters, fields=["target_amount", "distribution_id"])
+
+	monthly_target = [0] * len(months)
+	for target in targets:
+		distribution = {}
+		if target.distribution_id:
+			distribution = dict(frappe.get_all("Monthly Distribution Percentage",
+				filters={"parent": target.distribution_id},
+				fields=["month", "percentage_allocation"],
+				as_list=True))
+
+		for i, month in enumerate(months):
+			if distribution:
+				share = flt(distribution.get(month.strftime("%B"))) / 100
+			else:
+				share = 1.0 / len(months)
+
+			monthly_target[i] += flt(target.target_amount) * share
+
+	return monthly_target
+
+
+def get_top_products(start_date, end_date, limit=10, filters=None):
+	filters = filters or frappe._dict()
+	conditions = get_transaction_conditions(filters, item_alias="si_item")
+
 	invoice_items_by_name = frappe.db.sql("""
 		SELECT
+			si_item.item_code,
 			si_item.item_name AS item,
 			SUM(si_item.net_amount) AS revenue,
 			SUM(si_item.qty) AS volume
@@ -262,13 +1081,10 @@ def get_top_products(start_date, end_date, limit=10):
 					ON si.name = si_item.parent
 		WHERE
 			si.docstatus = 1
-				AND si.posting_date BETWEEN %(start_date)s AND %(end_date)s
+				AND si.posting_date BETWEEN %(start_date)s AND %(end_date)s{0}
 		GROUP BY
-			si_item.item_name
-	""", {
-		"start_date": start_date,
-		"end_date": end_date
-	}, as_dict=True)
+			si_item.item_code, si_item.item_name
+	""".format(conditions), dict(filters, start_date=start_date, end_date=end_date), as_dict=True)
 
 	if not invoice_items_by_name:
 		return {
@@ -294,14 +1110,11 @@ def get_top_products(start_date, end_date, limit=10):
 		WHERE
 			si.docstatus = 1
 				AND si.posting_date BETWEEN %(start_date)s AND %(end_date)s
-				AND si_item.item_name IN %(top_products)s
+				AND si_item.item_name IN %(top_products)s{0}
 		ORDER BY
 			si.posting_date ASC
-	""", {
-		"start_date": start_date,
-		"end_date": end_date,
-		"top_products": top_products
-	}, as_dict=True)
+	""".format(conditions), dict(filters, start_date=start_date, end_date=end_date, top_products=top_products),
+		as_dict=True)
 
 	# Form a list of dates between the start and end dates
 	total_days = date_diff(end_date, start_date)
@@ -332,24 +1145,24 @@ def get_top_products(start_date, end_date, limit=10):
 	}
 
 
-def get_top_customers(start_date, end_date, limit=10):
-	customers = get_invoices_by_field("customer", start_date, end_date)
+def get_top_customers(start_date, end_date, limit=10, filters=None):
+	customers = get_invoices_by_field("customer", start_date, end_date, filters)
 
 	return {
 		"revenue": sorted(customers, key=lambda customer: customer.grand_total, reverse=True)[:limit]
 	}
 
 
-def get_top_customer_groups(start_date, end_date, limit=10):
-	customers = get_invoices_by_field("customer_group", start_date, end_date)
+def get_top_customer_groups(start_date, end_date, limit=10, filters=None):
+	customers = get_invoices_by_field("customer_group", start_date, end_date, filters)
 
 	return {
 		"revenue": sorted(customers, key=lambda customer: customer.grand_total, reverse=True)[:limit]
 	}
 
 
-def get_top_territories(start_date, end_date, limit=9):
-	territories = get_invoices_by_field("territory", start_date, end_date)
+def get_top_territories(start_date, end_date, limit=9, filters=None):
+	territories = get_invoices_by_field("territory", start_date, end_date, filters)
 	territories = [territory for territory in territories
 		if frappe.db.get_value("Territory", territory.territory, "is_group") and territory.territory != "All Territories"]
 
@@ -358,8 +1171,8 @@ def get_top_territories(start_date, end_date, limit=9):
 	}
 
 
-def get_top_sales_partners(start_date, end_date, limit=5):
-	sales_partners = get_invoices_by_field("sales_partner", start_date, end_date)
+def get_top_sales_partners(start_date, end_date, limit=5, filters=None):
+	sales_partners = get_invoices_by_field("sales_partner", start_date, end_date, filters)
 	sales_partners = [sales_partner for sales_partner in sales_partners if sales_partner.sales_partner]
 
 	return {
@@ -367,8 +1180,8 @@ def get_top_sales_partners(start_date, end_date, limit=5):
 	}
 
 
-def get_pending_invoices(start_date, end_date):
-	invoices = get_invoices_by_field("status", start_date, end_date)
+def get_pending_invoices(start_date, end_date, filters=None):
+	invoices = get_invoices_by_field("status", start_date, end_date, filters)
 
 	def get_invoice_totals_by_status(status):
 		return next((invoice.grand_total for invoice in invoices if invoice.status == status), 0)
@@ -388,10 +1201,243 @@ def get_pending_invoices(start_date, end_date):
 	}
 
 
-def get_invoices_by_field(field, start_date, end_date):
-	invoices = frappe.get_all("Sales Invoice",
-		filters={"posting_date": ["BETWEEN", [start_date, end_date]], "docstatus": 1},
-		fields=[field, "SUM(grand_total) AS grand_total"],
-		group_by=field)
+def get_invoices_by_field(field, start_date, end_date, filters=None):
+	filters = filters or frappe._dict()
+
+	invoices = frappe.db.sql("""
+		SELECT
+			si.{0},
+			SUM(si.grand_total) AS grand_total
+		FROM
+			`tabSales Invoice` si
+		WHERE
+			si.docstatus = 1
+				AND si.posting_date BETWEEN %(start_date)s AND %(end_date)s{1}
+		GROUP BY
+			si.{0}
+	""".format(field, get_transaction_conditions(filters)),
+		dict(filters, start_date=start_date, end_date=end_date), as_dict=True)
 
 	return invoices
+
+
+def get_stock_value_by_warehouse(date, filters):
+	filters = filters or frappe._dict()
+
+	return frappe.db.sql("""
+		SELECT
+			sle.warehouse,
+			SUM(sle.stock_value_difference) AS stock_value
+		FROM
+			`tabStock Ledger Entry` sle
+				INNER JOIN `tabItem` item
+					ON item.name = sle.item_code
+		WHERE
+			sle.is_cancelled = 'No'
+				AND sle.posting_date <= %(date)s{0}
+		GROUP BY
+			sle.warehouse
+		HAVING
+			stock_value > 0
+		ORDER BY
+			stock_value DESC
+	""".format(get_stock_conditions(filters)), dict(filters, date=date), as_dict=True)
+
+
+def get_item_stock(date, filters):
+	"""
+	Get the items in stock on the given date, with the last time any of
+	them left a warehouse.
+	"""
+
+	filters = filters or frappe._dict()
+
+	return frappe.db.sql("""
+		SELECT
+			sle.item_code,
+			item.item_name AS item,
+			SUM(sle.actual_qty) AS stock_qty,
+			SUM(sle.stock_value_difference) AS stock_value,
+			MIN(sle.posting_date) AS first_received_on,
+			MAX(CASE WHEN sle.actual_qty < 0 THEN sle.posting_date END) AS last_issued_on
+		FROM
+			`tabStock Ledger Entry` sle
+				INNER JOIN `tabItem` item
+					ON item.name = sle.item_code
+		WHERE
+			sle.is_cancelled = 'No'
+				AND sle.posting_date <= %(date)s{0}
+		GROUP BY
+			sle.item_code, item.item_name
+		HAVING
+			stock_qty > 0
+	""".format(get_stock_conditions(filters)), dict(filters, date=date), as_dict=True)
+
+
+def get_slow_moving_items(date, item_stock, limit=10):
+	"""
+	Get the items in stock that have gone longest without any of them leaving
+	a warehouse, counting from when they were first received if they never have.
+	"""
+
+	items = []
+
+	for row in item_stock:
+		idle_since = row.last_issued_on or row.first_received_on
+		items.append(frappe._dict(row, days_idle=date_diff(date, idle_since)))
+
+	return sorted(items, key=lambda row: row.days_idle, reverse=True)[:limit]
+
+
+def get_expiring_batches(date, filters):
+	"""
+	Get the stock in batches expiring within each of the `EXPIRY_BUCKETS`
+	after the given date.
+	"""
+
+	filters = filters or frappe._dict()
+
+	batches = frappe.db.sql("""
+		SELECT
+			sle.batch_no,
+			batch.expiry_date,
+			SUM(sle.actual_qty) AS stock_qty,
+			SUM(sle.stock_value_difference) AS stock_value
+		FROM
+			`tabStock Ledger Entry` sle
+				INNER JOIN `tabBatch` batch
+					ON batch.name = sle.batch_no
+				INNER JOIN `tabItem` item
+					ON item.name = sle.item_code
+		WHERE
+			sle.is_cancelled = 'No'
+				AND sle.posting_date <= %(date)s
+				AND batch.expiry_date BETWEEN %(date)s AND %(expiry_date)s{0}
+		GROUP BY
+			sle.batch_no, batch.expiry_date
+		HAVING
+			stock_qty > 0
+	""".format(get_stock_conditions(filters)),
+		dict(filters, date=date, expiry_date=add_days(date, EXPIRY_BUCKETS[-1])), as_dict=True)
+
+	buckets = []
+	from_date = date
+
+	for days in EXPIRY_BUCKETS:
+		to_date = add_days(date, days)
+		expiring = [batch for batch in batches if from_date <= getdate(batch.expiry_date) <= to_date]
+
+		buckets.append({
+			"days": days,
+			"from_date": from_date,
+			"to_date": to_date,
+			"batches": len(expiring),
+			"stock_qty": sum(flt(batch.stock_qty) for batch in expiring),
+			"stock_value": sum(flt(batch.stock_value) for batch in expiring)
+		})
+
+		from_date = add_days(to_date, 1)
+
+	return buckets
+
+
+def get_stock_aging(date, item_stock, filters):
+	"""
+	Get the value of stock on the given date by how long ago it was received,
+	grouped by the `AGING_BUCKETS`. Stock is taken to leave first in, first out,
+	so what's left is matched with the latest receipts of each item.
+	"""
+
+	filters = filters or frappe._dict()
+
+	receipts = frappe.db.sql("""
+		SELECT
+			sle.item_code,
+			sle.posting_date,
+			sle.actual_qty
+		FROM
+			`tabStock Ledger Entry` sle
+				INNER JOIN `tabItem` item
+					ON item.name = sle.item_code
+		WHERE
+			sle.is_cancelled = 'No'
+				AND sle.actual_qty > 0
+				AND sle.posting_date <= %(date)s{0}
+		ORDER BY
+			sle.posting_date DESC, sle.posting_time DESC, sle.creation DESC
+	""".format(get_stock_conditions(filters)), dict(filters, date=date), as_dict=True)
+
+	# the upper bound of each bucket, in days; the last one takes everything older
+	limits = list(AGING_BUCKETS) + [None]
+	values = [0.0] * len(limits)
+
+	def get_bucket(age):
+		return next(i for i, limit in enumerate(limits) if limit is None or age <= limit)
+
+	remaining = {row.item_code: flt(row.stock_qty) for row in item_stock}
+	rates = {row.item_code: flt(row.stock_value) / flt(row.stock_qty) for row in item_stock}
+
+	for receipt in receipts:
+		qty = min(remaining.get(receipt.item_code, 0), flt(receipt.actual_qty))
+		if qty <= 0:
+			continue
+
+		values[get_bucket(date_diff(date, receipt.posting_date))] += qty * rates[receipt.item_code]
+		remaining[receipt.item_code] -= qty
+
+	# stock that can't be matched with a receipt is as old as it gets
+	values[-1] += sum(qty * rates[item_code] for item_code, qty in remaining.items() if qty > 0)
+
+	buckets = []
+	from_days = 0
+
+	for limit, value in zip(limits, values):
+		buckets.append({
+			"from_days": from_days,
+			"to_days": limit,
+			"stock_value": value
+		})
+
+		from_days = (limit or 0) + 1
+
+	return buckets
+
+
+def get_days_of_inventory(start_date, end_date, item_stock, limit=10, filters=None):
+	"""
+	Get how many days the stock of the top products by revenue would last,
+	if they kept selling at their average daily rate over the period.
+	"""
+
+	filters = filters or frappe._dict()
+
+	products = frappe.db.sql("""
+		SELECT
+			si_item.item_code,
+			si_item.item_name AS item,
+			SUM(si_item.net_amount) AS revenue,
+			SUM(si_item.stock_qty) AS sold_qty
+		FROM
+			`tabSales Invoice` si
+				INNER JOIN `tabSales Invoice Item` si_item
+					ON si.name = si_item.parent
+		WHERE
+			si.docstatus = 1
+				AND si.posting_date BETWEEN %(start_date)s AND %(end_date)s{0}
+		GROUP BY
+			si_item.item_code, si_item.item_name
+		ORDER BY
+			revenue DESC
+		LIMIT %(limit)s
+	""".format(get_transaction_conditions(filters, item_alias="si_item")),
+		dict(filters, start_date=start_date, end_date=end_date, limit=limit), as_dict=True)
+
+	stock = {row.item_code: flt(row.stock_qty) for row in item_stock}
+	days = date_diff(end_date, start_date) + 1
+
+	for product in products:
+		product.stock_qty = stock.get(product.item_code, 0)
+		product.daily_sales = flt(product.sold_qty) / days
+		product.days = product.stock_qty / product.daily_sales if product.daily_sales > 0 else None
+
+	return products
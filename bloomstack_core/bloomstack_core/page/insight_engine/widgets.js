@@ -0,0 +1,632 @@
+frappe.provide("bloomstack_core.insight_engine");
+
+/*
+	Every chart on the Insight Engine is a widget in this registry. A widget declares
+	where its data comes from, the chart it draws and that chart's options:
+
+		bloomstack_core.insight_engine.widgets.add({
+			name: "top_customers",       // unique, saved in dashboard layouts
+			label: __("Top Customers"),
+			subtitle: __("by Revenue"),
+			period: "",                  // shown on the right of the heading
+			method: "...",               // whitelisted method, called with the dashboard's start_date,
+			                             // end_date and dimension filters (company, territory,
+			                             // customer_group, sales_partner, item_group), and `refresh`
+			                             // when the user asks for fresh figures; defaults to
+			                             // get_insight_engine_dashboards, which returns every section
+			chartType: "bar",
+			width: "Half",               // or "Full"
+			color: 2,                    // palette index of the first dataset
+			multiColor: false,           // colour every point instead of every dataset
+			getData(data, engine) {},    // returns the Chart.js `data` from the method's response
+			options: {},                 // merged over the shared options for the chart type
+			isAvailable(data) {},        // optional, hides the widget when there's nothing to show
+			compareBy: "label",          // match the comparison period's points by "label", by "index"
+			                             // for series over time, or false to leave comparisons out
+			drillDown(point, data, engine) {}
+			                             // optional, called with the clicked { index, datasetIndex, label, dataset }
+			                             // and the data for the period that point belongs to
+			render($container, data, engine) {}
+			                             // optional, draws the widget into $container instead of a chart;
+			                             // getData, options and comparisons are left out
+		});
+
+	Widgets sharing a method are loaded together, and drawn as soon as it returns. The
+	built-in widgets use the cached section endpoints in insight_engine.py, which also stamp
+	their response with `refreshed_on`.
+
+	`getData` is called once for the selected period and once for the comparison period, if
+	there is one, with `data.startDate`, `data.endDate` and `data.filters` set to what it was
+	loaded with, and `data.isComparison` set for the comparison period.
+
+	`engine.getForecast()` returns the revenue forecast for the rest of the fiscal year while
+	"Show Forecast" is ticked. It's worked out from today, and so it's never compared.
+
+	Widgets added with an existing name replace it. Other apps can add widgets from a
+	script attached to the page with the `page_js` hook.
+*/
+bloomstack_core.insight_engine.getMethod = name => `bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.${name}`;
+
+bloomstack_core.insight_engine.DEFAULT_METHOD = bloomstack_core.insight_engine.getMethod("get_insight_engine_dashboards");
+
+// the KPIs at the top of the page and the forecast are always loaded
+bloomstack_core.insight_engine.KPI_METHOD = bloomstack_core.insight_engine.getMethod("get_kpi_data");
+bloomstack_core.insight_engine.FORECAST_METHOD = bloomstack_core.insight_engine.getMethod("get_forecast_data");
+
+bloomstack_core.insight_engine.COLORS = ["#F58767", "#505362", "#69829E", "#80BD9E", "#ADBD38", "#598233"];
+
+bloomstack_core.insight_engine.getColor = (index, opacity) => {
+	const colors = bloomstack_core.insight_engine.COLORS;
+	const hex = colors[index % colors.length];
+
+	if (opacity === undefined) {
+		return hex;
+	}
+
+	const [red, green, blue] = [1, 3, 5].map(start => parseInt(hex.substr(start, 2), 16));
+	return `rgba(${red}, ${green}, ${blue}, ${opacity})`;
+};
+
+bloomstack_core.insight_engine.WidgetRegistry = class WidgetRegistry {
+	constructor() {
+		this.widgets = [];
+	}
+
+	add(widget) {
+		if (!widget.name) {
+			throw new Error("Insight Engine widgets need a name");
+		}
+
+		const defaults = {
+			method: bloomstack_core.insight_engine.DEFAULT_METHOD,
+			chartType: "line",
+			compareBy: "label",
+			width: "Half",
+			color: 0,
+			options: {},
+			isAvailable: () => true
+		};
+
+		const index = this.widgets.findIndex(existing => existing.name === widget.name);
+		widget = Object.assign(defaults, widget);
+
+		if (index > -1) {
+			this.widgets[index] = widget;
+		} else {
+			this.widgets.push(widget);
+		}
+	}
+
+	get(name) {
+		return this.widgets.find(widget => widget.name === name);
+	}
+
+	all() {
+		return this.widgets;
+	}
+};
+
+bloomstack_core.insight_engine.widgets = new bloomstack_core.insight_engine.WidgetRegistry();
+
+(() => {
+	const { widgets, getMethod } = bloomstack_core.insight_engine;
+
+	const timeSeriesOptions = {
+		legend: {
+			display: true,
+			position: 'bottom',
+			labels: {
+				filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend
+			}
+		},
+		scales: {
+			xAxes: [{
+				type: 'category',
+				distribution: 'series'
+			}]
+		}
+	};
+
+	const formatDate = date => moment(date).format("YYYY-MM-DD");
+
+	// open submitted Sales Invoices posted in the period, narrowed down by `filters`
+	// and the dashboard's company and sales partner; the tree dimensions can't be
+	// matched with their children in a list view
+	const showInvoices = (data, fromDate, toDate, filters) => {
+		const { company, sales_partner } = data.filters;
+
+		frappe.route_options = Object.assign({
+			docstatus: 1,
+			posting_date: ["Between", [formatDate(fromDate), formatDate(toDate)]]
+		}, company && { company }, sales_partner && { sales_partner }, filters);
+		frappe.set_route("List", "Sales Invoice");
+	};
+
+	// open the invoices behind a point on a series over time
+	const showInvoicesForPeriod = (point, data, engine, period, cumulative) => {
+		// only actuals have invoices behind them
+		if (point.dataset.forecast) {
+			return;
+		}
+
+		const [fromDate, toDate] = engine.getPeriodRange(data.startDate, data.endDate, point.index, period);
+		showInvoices(data, cumulative ? data.startDate : fromDate, toDate);
+	};
+
+	// open the stock ledger up to the end of the period, narrowed down by `filters` and the
+	// dashboard's company; item groups can't be matched in a list view
+	const showStockLedger = (data, filters) => {
+		const { company } = data.filters;
+
+		frappe.route_options = Object.assign({
+			is_cancelled: "No",
+			posting_date: ["<=", formatDate(data.endDate)]
+		}, company && { company }, filters);
+		frappe.set_route("List", "Stock Ledger Entry");
+	};
+
+	// rows are looked up by label, since comparison periods can list them in another order
+	const findRow = (rows, field, label) => rows.find(row => row[field] === label);
+
+	const getDaysLabel = (fromDays, toDays) => {
+		return toDays ? __("{0}-{1} Days", [fromDays, toDays]) : __("Over {0} Days", [fromDays - 1]);
+	};
+
+	// for charts of days rather than amounts
+	const formatDays = value => __("{0} days", [format_number(value, null, 0)]);
+	const daysOptions = {
+		scales: {
+			xAxes: [{ ticks: { callback: value => format_number(value, null, 0) } }]
+		},
+		tooltips: {
+			callbacks: {
+				label(tooltipItem, data) {
+					const dataset = data.datasets[tooltipItem.datasetIndex];
+					const days = formatDays(tooltipItem.value);
+					return dataset.label ? `${dataset.label}: ${days}` : days;
+				}
+			}
+		}
+	};
+
+	// list the customers in a cell of the retention heatmap
+	const showCohortCustomers = (data, cohort, offset) => {
+		frappe.call({
+			method: getMethod("get_cohort_customers"),
+			// the heatmap counts invoices up to the dashboard's end date, and so does the list
+			args: Object.assign({}, data.filters, { cohort, offset, end_date: formatDate(data.endDate) })
+		}).then(r => {
+			const customers = r.message || [];
+			const rows = customers.map(row => `
+				<tr>
+					<td>
+						<a href="#Form/Customer/${encodeURIComponent(row.customer)}">
+							${frappe.utils.escape_html(row.customer_name || row.customer)}
+						</a>
+					</td>
+					<td class="text-right">${format_currency(row.revenue)}</td>
+				</tr>
+			`).join("");
+
+			const dialog = new frappe.ui.Dialog({
+				title: __("Customers First Invoiced in {0}, Month {1}", [moment(cohort).format("MMM YYYY"), offset]),
+				fields: [{ fieldname: "customers", fieldtype: "HTML" }],
+				primary_action_label: __("Show in Customer List"),
+				primary_action: () => {
+					dialog.hide();
+					frappe.route_options = { name: ["in", customers.map(row => row.customer)] };
+					frappe.set_route("List", "Customer");
+				}
+			});
+
+			dialog.fields_dict.customers.$wrapper.html(`
+				<table class="table table-bordered">
+					<thead><tr><th>${__("Customer")}</th><th class="text-right">${__("Revenue")}</th></tr></thead>
+					<tbody>${rows || `<tr><td colspan="2" class="text-muted">${__("No customers")}</td></tr>`}</tbody>
+				</table>
+			`);
+			dialog.show();
+		});
+	};
+
+	// add the forecast for the rest of the fiscal year to a chart of revenue by period, with its
+	// range and the sales target, running the chart on to the end of the fiscal year
+	const addForecast = (chartData, data, engine, period) => {
+		const forecast = engine.getForecast();
+		if (!forecast || data.isComparison) {
+			return chartData;
+		}
+
+		const { getColor } = bloomstack_core.insight_engine;
+		const { months } = forecast;
+		const yearEndDate = moment(months[months.length - 1]).endOf("month");
+		const endDate = moment.max(moment(data.endDate), yearEndDate).format("YYYY-MM-DD");
+
+		// the forecast is monthly, so each month is spread evenly over its days to be summed
+		// into the chart's periods; periods without any of the series are left empty. The last
+		// month of actuals only joins the forecast onto a monthly chart, so it's left off others.
+		const thisMonth = moment().startOf("month");
+		const getSeries = (values, isForecast = true) => {
+			const rows = [];
+			months.forEach((month, i) => {
+				if (values[i] === null || (isForecast && period !== "month" && moment(month).isBefore(thisMonth))) {
+					return;
+				}
+
+				const days = moment(month).daysInMonth();
+				for (let day = 0; day < days; day++) {
+					rows.push({ date: moment(month).add(day, "days"), value: flt(values[i]) / days, days: 1 });
+				}
+			});
+
+			const totals = engine.getPeriodValues(rows, data.startDate, endDate, period, "value");
+			const days = engine.getPeriodValues(rows, data.startDate, endDate, period, "days");
+			return totals.map((total, i) => days[i] ? total : null);
+		};
+
+		chartData.labels = engine.getDateRangeAsArray(data.startDate, endDate, period);
+		chartData.datasets.forEach(dataset => {
+			dataset.label = dataset.label || __("Actual");
+			dataset.data = chartData.labels.map((label, i) => i < dataset.data.length ? dataset.data[i] : null);
+		});
+
+		const band = {
+			backgroundColor: getColor(0, 0.15),
+			borderColor: "transparent",
+			pointRadius: 0,
+			forecast: true
+		};
+
+		chartData.datasets.push(
+			{ label: __("Forecast"), data: getSeries(forecast.forecast), borderColor: getColor(0), borderDash: [6, 4], forecast: true },
+			// the band fills the space between its lower and upper bounds
+			Object.assign({ label: __("Forecast Low"), data: getSeries(forecast.lower), hideInLegend: true }, band),
+			Object.assign({ label: __("Forecast High"), data: getSeries(forecast.upper), fill: "-1" }, band)
+		);
+
+		if (forecast.target.length) {
+			chartData.datasets.push({
+				label: __("Sales Target"),
+				data: getSeries(forecast.target, false),
+				borderColor: getColor(4),
+				borderDash: [2, 2],
+				pointRadius: 0,
+				forecast: true
+			});
+		}
+
+		return chartData;
+	};
+
+	const getRevenueByPeriod = (rows, data, engine, period, cumulative) => {
+		let revenue = engine.getPeriodValues(rows, data.startDate, data.endDate, period);
+		if (cumulative) {
+			revenue = revenue.reduce((prev, next, i) => [...prev, next + (prev[i - 1] || 0)], []);
+		}
+
+		return {
+			labels: engine.getDateRangeAsArray(data.startDate, data.endDate, period),
+			datasets: [{ data: revenue }]
+		};
+	};
+
+	// upsell hooks report daily sales as `period`, and can't be split by week
+	const getUpsellRows = data => data.total_upsell_sales_by_day.map(row => Object.assign({ date: row.period }, row));
+	const getUpsellPeriod = engine => engine.granularity === "week" ? "month" : engine.granularity;
+
+	widgets.add({
+		name: "revenue_month_to_date",
+		method: getMethod("get_sales_data"),
+		label: __("Total Revenue"),
+		subtitle: __("by Period"),
+		compareBy: "index",
+		getData: (data, engine) => addForecast(getRevenueByPeriod(data.total_sales_by_day, data, engine, engine.granularity),
+			data, engine, engine.granularity),
+		drillDown: (point, data, engine) => showInvoicesForPeriod(point, data, engine, engine.granularity),
+		options: timeSeriesOptions
+	});
+
+	widgets.add({
+		name: "revenue_year_to_date",
+		method: getMethod("get_sales_data"),
+		label: __("Total Revenue"),
+		subtitle: __("Cumulative"),
+		compareBy: "index",
+		getData: (data, engine) => getRevenueByPeriod(data.total_sales_by_day, data, engine, engine.granularity, true),
+		drillDown: (point, data, engine) => showInvoicesForPeriod(point, data, engine, engine.granularity, true),
+		options: timeSeriesOptions
+	});
+
+	widgets.add({
+		name: "upsell_revenue_month_to_date",
+		method: getMethod("get_sales_data"),
+		label: __("Total Revenue"),
+		subtitle: __("From Upsell"),
+		compareBy: "index",
+		isAvailable: data => data.total_upsell_sales_by_day,
+		getData: (data, engine) => getRevenueByPeriod(getUpsellRows(data), data, engine, getUpsellPeriod(engine)),
+		options: timeSeriesOptions
+	});
+
+	widgets.add({
+		name: "upsell_revenue_year_to_date",
+		method: getMethod("get_sales_data"),
+		label: __("Total Revenue"),
+		subtitle: __("From Upsell, Cumulative"),
+		compareBy: "index",
+		isAvailable: data => data.total_upsell_sales_by_day,
+		getData: (data, engine) => getRevenueByPeriod(getUpsellRows(data), data, engine, getUpsellPeriod(engine), true),
+		options: timeSeriesOptions
+	});
+
+	widgets.add({
+		name: "top_customers",
+		method: getMethod("get_customer_data"),
+		label: __("Top Customers"),
+		subtitle: __("by Revenue"),
+		chartType: "bar",
+		color: 2,
+		getData: data => ({
+			labels: data.top_customers_by_revenue.map(row => row.customer),
+			datasets: [{ data: data.top_customers_by_revenue.map(row => row.grand_total) }]
+		}),
+		drillDown: (point, data) => showInvoices(data, data.startDate, data.endDate, { customer: point.label })
+	});
+
+	widgets.add({
+		name: "top_customer_groups",
+		method: getMethod("get_customer_data"),
+		label: __("Top Customer Groups"),
+		subtitle: __("by Revenue"),
+		chartType: "bar",
+		color: 3,
+		getData: data => ({
+			labels: data.top_customer_groups_by_revenue.map(row => row.customer_group),
+			datasets: [{ data: data.top_customer_groups_by_revenue.map(row => row.grand_total) }]
+		}),
+		drillDown: (point, data) => showInvoices(data, data.startDate, data.endDate, { customer_group: point.label })
+	});
+
+	widgets.add({
+		name: "top_sales_partners",
+		method: getMethod("get_territory_data"),
+		label: __("Top Sales Partners"),
+		subtitle: __("by Revenue"),
+		chartType: "horizontalBar",
+		multiColor: true,
+		getData: data => ({
+			labels: data.top_sales_partners_by_revenue.map(row => row.sales_partner),
+			datasets: [{ data: data.top_sales_partners_by_revenue.map(row => row.grand_total) }]
+		}),
+		drillDown: (point, data) => showInvoices(data, data.startDate, data.endDate, { sales_partner: point.label })
+	});
+
+	widgets.add({
+		name: "invoice_breakdown",
+		method: getMethod("get_invoice_data"),
+		label: __("Invoice Breakdown"),
+		subtitle: __("by Status"),
+		chartType: "doughnut",
+		multiColor: true,
+		getData: data => ({
+			labels: [__("Paid"), __("Unpaid"), __("Overdue"), __("Returned"), __("Credit Issued")],
+			datasets: [{
+				data: [
+					data.paid_invoices,
+					data.unpaid_invoices,
+					data.overdue_invoices,
+					data.returned_invoices,
+					data.credit_invoices
+				]
+			}]
+		}),
+		drillDown: (point, data) => {
+			const statuses = ["Paid", "Unpaid", "Overdue", "Return", "Credit Note Issued"];
+			showInvoices(data, data.startDate, data.endDate, { status: statuses[point.index] });
+		}
+	});
+
+	widgets.add({
+		name: "revenue_by_territory",
+		method: getMethod("get_territory_data"),
+		label: __("Total Revenue"),
+		subtitle: __("by Territory"),
+		chartType: "doughnut",
+		multiColor: true,
+		getData: data => ({
+			labels: data.top_territories_by_revenue.map(row => row.territory),
+			datasets: [{ data: data.top_territories_by_revenue.map(row => row.grand_total) }]
+		}),
+		drillDown: (point, data) => showInvoices(data, data.startDate, data.endDate, { territory: point.label })
+	});
+
+	widgets.add({
+		name: "top_products",
+		method: getMethod("get_product_data"),
+		label: __("Top Products"),
+		subtitle: __("by Revenue"),
+		chartType: "horizontalBar",
+		color: 3,
+		getData: data => ({
+			labels: data.top_products_by_revenue.map(row => row.item),
+			datasets: [{ data: data.top_products_by_revenue.map(row => row.revenue) }]
+		}),
+		drillDown: (point, data) => {
+			frappe.route_options = {
+				item_code: data.top_products_by_revenue[point.index].item_code,
+				company: data.filters.company,
+				from_date: formatDate(data.startDate),
+				to_date: formatDate(data.endDate)
+			};
+			frappe.set_route("query-report", "Item-wise Sales Register");
+		}
+	});
+
+	widgets.add({
+		name: "sales_by_week",
+		method: getMethod("get_sales_data"),
+		label: __("Total Sales"),
+		subtitle: __("by Week"),
+		width: "Full",
+		compareBy: "index",
+		getData: (data, engine) => addForecast(getRevenueByPeriod(data.total_sales_by_day, data, engine, "week"),
+			data, engine, "week"),
+		drillDown: (point, data, engine) => showInvoicesForPeriod(point, data, engine, "week"),
+		options: timeSeriesOptions
+	});
+
+	widgets.add({
+		name: "customer_retention",
+		method: getMethod("get_customer_data"),
+		label: __("Customer Retention"),
+		subtitle: __("by First Invoice Month"),
+		width: "Full",
+		compareBy: false,
+		isAvailable: data => data.customer_cohorts.length,
+		render: ($container, data, engine) => {
+			const { getColor } = bloomstack_core.insight_engine;
+			const columns = Math.max(...data.customer_cohorts.map(row => row.months.length));
+
+			// each cell is shaded by the share of the cohort invoiced that month
+			const rows = data.customer_cohorts.map(row => `
+				<tr>
+					<th>${moment(row.cohort).format("MMM YYYY")}</th>
+					<td class="text-right">${row.customers}</td>
+					${row.months.map(month => `
+						<td class="cohort-cell" data-cohort="${row.cohort}" data-offset="${month.offset}"
+							style="background-color: ${getColor(3, 0.1 + month.retention / 100 * 0.8)}"
+							title="${__("{0} of {1} customers", [month.customers, row.customers])}">
+							${format_number(month.retention, null, 0)}%
+							<small>${format_currency(month.revenue, null, 0)}</small>
+						</td>
+					`).join("")}
+				</tr>
+			`).join("");
+
+			const headings = Array.from({ length: columns }, (value, i) => `<th>${__("Month {0}", [i])}</th>`).join("");
+
+			$container.html(`
+				<div class="cohort-table">
+					<table class="table table-bordered">
+						<thead><tr><th>${__("Cohort")}</th><th>${__("Customers")}</th>${headings}</tr></thead>
+						<tbody>${rows}</tbody>
+					</table>
+				</div>
+			`);
+
+			$container.find(".cohort-cell").on("click", (e) => {
+				// clicks are ignored while the layout is being rearranged
+				if (engine.editing) {
+					return;
+				}
+
+				const $cell = $(e.currentTarget);
+				showCohortCustomers(data, $cell.attr("data-cohort"), cint($cell.attr("data-offset")));
+			});
+		}
+	});
+
+	widgets.add({
+		name: "stock_value_by_warehouse",
+		method: getMethod("get_inventory_data"),
+		label: __("Stock Value"),
+		subtitle: __("by Warehouse"),
+		chartType: "horizontalBar",
+		color: 4,
+		isAvailable: data => data.stock_value_by_warehouse.length,
+		getData: data => ({
+			labels: data.stock_value_by_warehouse.map(row => row.warehouse),
+			datasets: [{ data: data.stock_value_by_warehouse.map(row => row.stock_value) }]
+		}),
+		drillDown: (point, data) => showStockLedger(data, { warehouse: point.label })
+	});
+
+	widgets.add({
+		name: "slow_moving_items",
+		method: getMethod("get_inventory_data"),
+		label: __("Slow-Moving Items"),
+		subtitle: __("by Days Since Last Issued"),
+		chartType: "horizontalBar",
+		color: 1,
+		isAvailable: data => data.slow_moving_items.length,
+		getData: data => ({
+			labels: data.slow_moving_items.map(row => row.item),
+			datasets: [{ data: data.slow_moving_items.map(row => row.days_idle) }]
+		}),
+		drillDown: (point, data) => {
+			const row = findRow(data.slow_moving_items, "item", point.label);
+			if (row) {
+				showStockLedger(data, { item_code: row.item_code });
+			}
+		},
+		options: daysOptions
+	});
+
+	widgets.add({
+		name: "expiring_batches",
+		method: getMethod("get_inventory_data"),
+		label: __("Expiring Batches"),
+		subtitle: __("by Stock Value"),
+		chartType: "bar",
+		multiColor: true,
+		isAvailable: data => data.expiring_batches.some(row => row.batches),
+		getData: data => ({
+			labels: data.expiring_batches.map((row, i) => {
+				return getDaysLabel(i ? data.expiring_batches[i - 1].days + 1 : 0, row.days);
+			}),
+			datasets: [{ data: data.expiring_batches.map(row => row.stock_value) }]
+		}),
+		drillDown: (point, data) => {
+			const row = data.expiring_batches[point.index];
+			frappe.route_options = { expiry_date: ["Between", [formatDate(row.from_date), formatDate(row.to_date)]] };
+			frappe.set_route("List", "Batch");
+		}
+	});
+
+	widgets.add({
+		name: "stock_aging",
+		method: getMethod("get_inventory_data"),
+		label: __("Stock Aging"),
+		subtitle: __("by Stock Value"),
+		chartType: "bar",
+		color: 5,
+		isAvailable: data => data.stock_aging.some(row => row.stock_value),
+		getData: data => ({
+			labels: data.stock_aging.map(row => getDaysLabel(row.from_days, row.to_days)),
+			datasets: [{ data: data.stock_aging.map(row => row.stock_value) }]
+		}),
+		drillDown: (point, data) => {
+			// the receipts the stock in the bucket was matched with
+			const row = data.stock_aging[point.index];
+			const daysAgo = days => formatDate(moment(data.endDate).subtract(days, "days"));
+
+			showStockLedger(data, {
+				actual_qty: [">", 0],
+				posting_date: row.to_days
+					? ["Between", [daysAgo(row.to_days), daysAgo(row.from_days)]]
+					: ["<=", daysAgo(row.from_days)]
+			});
+		}
+	});
+
+	widgets.add({
+		name: "days_of_inventory",
+		method: getMethod("get_inventory_data"),
+		label: __("Days of Inventory"),
+		subtitle: __("for Top Products"),
+		chartType: "horizontalBar",
+		color: 3,
+		isAvailable: data => data.days_of_inventory.length,
+		getData: data => ({
+			labels: data.days_of_inventory.map(row => row.item),
+			datasets: [{ data: data.days_of_inventory.map(row => row.days) }]
+		}),
+		drillDown: (point, data) => {
+			const row = findRow(data.days_of_inventory, "item", point.label);
+			if (row) {
+				showStockLedger(data, { item_code: row.item_code });
+			}
+		},
+		options: daysOptions
+	});
+})();
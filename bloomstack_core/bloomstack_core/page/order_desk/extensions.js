@@ -0,0 +1,131 @@
+/* global frappe, erpnext */
+frappe.provide("erpnext.pos.order_desk");
+
+/*
+	Other apps can extend the Order Desk without forking it. Add a script to
+	the page through the `page_js` hook in the app's hooks.py:
+
+		page_js = {"order-desk": "public/js/order_desk.js"}
+
+	and register the extension from that script:
+
+		erpnext.pos.order_desk.extensions.add({
+			events: {
+				before_submit(desk, { doc }) {
+					// return false (or a promise resolving to false) to stop the submission
+				}
+			},
+			panels: [{
+				name: "loyalty_points",
+				render($wrapper, desk) {},
+				refresh($wrapper, desk) {}
+			}],
+			item_decorators: [
+				(item) => `<span class="price-info">${item.item_group}</span>`
+			]
+		});
+
+	Events receive the Order Desk instance and a payload:
+		before_add_item       { item_code, field, value }, return false to cancel
+		after_customer_change { customer }
+		before_submit         { doc }, return false to cancel
+		after_submit          { doc }
+
+	`before_add_item` runs for every line going into the cart: items picked from
+	the catalog or reordered, lines restored from a parked or saved cart (with the
+	`qty` field), and each batch an item is split across (with the `batch_no`
+	field). `after_submit` also runs for orders queued offline, once they sync.
+
+	Panels are rendered below the customer details in the cart, and refreshed
+	whenever the customer or the cart contents change. Item decorators return
+	extra HTML for each item card.
+*/
+erpnext.pos.order_desk.EVENTS = [
+	"before_add_item",
+	"after_customer_change",
+	"before_submit",
+	"after_submit"
+];
+
+erpnext.pos.order_desk.ExtensionsManager = class {
+	constructor() {
+		this.events = {};
+		this.panels = [];
+		this.item_decorators = [];
+	}
+
+	add(extension) {
+		Object.keys(extension.events || {}).forEach(event => {
+			this.on(event, extension.events[event]);
+		});
+
+		(extension.panels || []).forEach(panel => this.add_panel(panel));
+		(extension.item_decorators || []).forEach(decorator => this.add_item_decorator(decorator));
+	}
+
+	on(event, handler) {
+		if (!erpnext.pos.order_desk.EVENTS.includes(event)) {
+			throw new Error(`Unknown Order Desk event: ${event}`);
+		}
+
+		if (!this.events.hasOwnProperty(event)) {
+			this.events[event] = [];
+		}
+
+		this.events[event].push(handler);
+	}
+
+	add_panel(panel) {
+		if (!panel.name) {
+			throw new Error("Order Desk panels need a name");
+		}
+
+		this.panels.push(panel);
+	}
+
+	add_item_decorator(decorator) {
+		this.item_decorators.push(decorator);
+	}
+
+	trigger(event, desk, args) {
+		// handlers run one after the other; once any returns false, the rest are skipped
+		// and the promise resolves to false, so "before" events can cancel the action
+		return (this.events[event] || []).reduce((p, handler) => {
+			return p.then(proceed => {
+				if (!proceed) {
+					return false;
+				}
+
+				return Promise.resolve(handler(desk, args || {}))
+					.then(result => result !== false);
+			});
+		}, Promise.resolve(true));
+	}
+
+	render_panels($container, desk) {
+		$container.empty();
+
+		this.panels.forEach(panel => {
+			const $wrapper = $(`<div class="order-desk-panel" data-panel="${panel.name}"></div>`)
+				.appendTo($container);
+
+			if (panel.render) {
+				panel.render($wrapper, desk);
+			}
+		});
+	}
+
+	refresh_panels($container, desk) {
+		this.panels.forEach(panel => {
+			if (panel.refresh) {
+				panel.refresh($container.find(`[data-panel="${panel.name}"]`), desk);
+			}
+		});
+	}
+
+	get_item_decorations(item) {
+		return this.item_decorators
+			.map(decorator => decorator(item) || "")
+			.join("");
+	}
+};
@@ -1,9 +1,16 @@
 /* global Clusterize */
 frappe.provide('erpnext.pos');
 
+{% include "bloomstack_core/bloomstack_core/page/order_desk/extensions.js" %}
+
+erpnext.pos.order_desk.extensions = new erpnext.pos.order_desk.ExtensionsManager();
+
 frappe.pages['order-desk'].refresh = function(wrapper) {
 	if (wrapper.pos) {
-		wrapper.pos.make_new_order();
+		// keep the cart in progress, since a new order replaces it
+		wrapper.pos.autosave_order();
+		wrapper.pos.make_new_order()
+			.then(() => wrapper.pos.offer_autosave_restore());
 	}
 }
 
@@ -22,10 +29,14 @@ erpnext.pos.OrderDesk = class OrderDesk {
 	constructor(wrapper) {
 		this.wrapper = $(wrapper).find('.layout-main-section');
 		this.page = wrapper.page;
+		this.doctype = 'Sales Order';
+		this.forms = {};
+		this.extensions = erpnext.pos.order_desk.extensions;
 
 		const assets = [
 			'assets/erpnext/js/pos/clusterize.js',
-			'assets/erpnext/css/pos.css'
+			'assets/erpnext/css/pos.css',
+			'assets/js/order_desk_cart.min.js'
 		];
 
 		frappe.require(assets, () => {
@@ -37,9 +48,13 @@ erpnext.pos.OrderDesk = class OrderDesk {
 		return frappe.run_serially([
 			() => frappe.dom.freeze(),
 			() => {
+				this.store = erpnext.pos.order_desk.cart.make_store();
 				this.prepare_dom();
 				this.prepare_menu();
+				this.make_mode_field();
 				this.set_online_status();
+				this.bind_shortcuts();
+				this.setup_autosave();
 			},
 			() => this.make_new_order(),
 			() => {
@@ -53,28 +68,233 @@ erpnext.pos.OrderDesk = class OrderDesk {
 			() => {
 				frappe.dom.unfreeze();
 			},
+			() => this.offer_autosave_restore()
 		]);
 	}
 
+	setup_autosave() {
+		this.autosave = new OrderDeskAutosave();
+
+		frappe.db.get_single_value("Order Desk Settings", "autosave_expiry_hours")
+			.then((expiry_hours) => {
+				this.autosave.expiry_hours = cint(expiry_hours);
+			});
+
+		this.autosave_interval = setInterval(() => this.autosave_order(), 5000);
+		$(window).on('beforeunload', () => this.autosave_order());
+	}
+
+	autosave_order() {
+		// hold off while the user decides whether to restore the previous cart
+		if (!this.autosave || !this.cart || this.restoring_autosave) {
+			return;
+		}
+
+		// saved documents no longer need restoring
+		if (this.frm.doc.docstatus == 1 || !this.frm.is_new()) {
+			this.autosave.clear();
+			return;
+		}
+
+		if (!this.get_customer() && !this.frm.doc.items.length) {
+			return;
+		}
+
+		this.autosave.save(this.get_order_snapshot());
+	}
+
+	offer_autosave_restore() {
+		if (!this.autosave || this.restoring_autosave) {
+			return;
+		}
+
+		const draft = this.autosave.get();
+		if (!draft) {
+			return;
+		}
+
+		const { order } = draft;
+		this.restoring_autosave = true;
+
+		frappe.confirm(
+			__("An unsaved order for {0} with {1} item(s) was found from {2}. Do you want to restore it?", [
+				(order.customer || __("No Customer")).bold(),
+				order.items.length,
+				comment_when(draft.saved_on)
+			]),
+			() => {
+				const resume_autosave = () => {
+					this.restoring_autosave = false;
+				};
+				this.restore_order(order).then(resume_autosave, resume_autosave);
+			},
+			() => {
+				this.autosave.clear();
+				this.restoring_autosave = false;
+			}
+		);
+	}
+
 	set_online_status() {
-		this.connection_status = false;
-		this.page.set_indicator(__("Offline"), "grey");
+		this.connection_status = null;
+		this.offline_queue = new OrderDeskOfflineQueue();
+
+		$(window).on('online', () => this.check_connection());
+		$(window).on('offline', () => this.set_connection_status(false));
+
+		// browsers only report the network interface going down, so keep
+		// pinging the server to catch a connection that drops further away
+		this.connection_check = setInterval(() => this.check_connection(), 30000);
+		this.check_connection();
+	}
+
+	check_connection() {
+		return $.ajax({
+			url: '/api/method/frappe.handler.ping',
+			timeout: 5000
+		})
+			.done(r => this.set_connection_status(r.message === 'pong'))
+			.fail(() => this.set_connection_status(false));
+	}
+
+	set_connection_status(status) {
+		const reconnected = status && this.connection_status !== true;
+		this.connection_status = status;
+		this.update_status_indicator();
+
+		if (reconnected) {
+			this.sync_offline_orders();
+		}
+	}
+
+	is_online() {
+		return this.connection_status !== false;
+	}
+
+	update_status_indicator() {
+		const queued = this.offline_queue.get_orders().length;
+
+		if (this.connection_status) {
+			if (queued) {
+				this.page.set_indicator(__("Online ({0} queued)", [queued]), "orange");
+			} else {
+				this.page.set_indicator(__("Online"), "green");
+			}
+		} else if (queued) {
+			this.page.set_indicator(__("Offline ({0} queued)", [queued]), "red");
+		} else {
+			this.page.set_indicator(__("Offline"), "grey");
+		}
+	}
+
+	queue_offline_order() {
+		this.frm.doc.delivery_date = this.delivery_date;
+		this.frm.doc.items.forEach((item) => {
+			item.delivery_date = this.delivery_date;
+		});
+
+		this.offline_queue.add(this.frm.doc);
+		this.update_status_indicator();
+
+		frappe.show_alert({
+			indicator: 'orange',
+			message: __("You are offline. The order for {0} has been queued and will be created once the connection returns.",
+				[this.get_customer().bold()])
+		});
+
+		this.reset_form();
+	}
+
+	sync_offline_orders() {
+		const orders = this.offline_queue.get_orders();
+		if (!orders.length || this.syncing) {
+			return;
+		}
+
+		this.syncing = true;
 		frappe.call({
-			method: "frappe.handler.ping",
-			callback: r => {
-				if (r.message) {
-					this.connection_status = true;
-					this.page.set_indicator(__("Online"), "green");
-				}
+			method: "bloomstack_core.bloomstack_core.page.order_desk.order_desk.sync_offline_orders",
+			args: { orders },
+			callback: (r) => {
+				const results = r.message || [];
+
+				// failed orders stay in the queue for the next attempt
+				results
+					.filter(result => result.status !== "Failed")
+					.forEach(result => {
+						const order = orders.find(order => order.offline_id === result.offline_id);
+						this.offline_queue.remove(result.offline_id);
+
+						if (order && result.sales_order) {
+							this.extensions.trigger('after_submit', this, {
+								doc: Object.assign({}, order.doc, { name: result.sales_order })
+							});
+						}
+					});
+
+				this.show_sync_report(results);
+			},
+			always: () => {
+				this.syncing = false;
+				this.update_status_indicator();
 			}
 		});
 	}
 
+	show_sync_report(results) {
+		const synced = results.filter(result => result.status === "Synced");
+		const issues = results.filter(result => result.status !== "Synced");
+
+		if (synced.length) {
+			frappe.show_alert({
+				indicator: 'green',
+				message: __("{0} queued order(s) synced", [synced.length])
+			});
+		}
+
+		if (!issues.length) {
+			return;
+		}
+
+		const rows = issues.map(result => {
+			const indicator = result.status === "Failed" ? "red" : "orange";
+			const order = result.sales_order ?
+				frappe.utils.get_form_link("Sales Order", result.sales_order, true) : __("Not created");
+
+			return `
+				<tr>
+					<td>${result.customer || ""}</td>
+					<td><span class="indicator ${indicator}">${__(result.status)}</span></td>
+					<td>${order}</td>
+					<td>${result.messages.join("<br>")}</td>
+				</tr>
+			`;
+		}).join("");
+
+		frappe.msgprint({
+			title: __("Offline Order Sync"),
+			message: `
+				<table class="table table-bordered">
+					<thead>
+						<tr>
+							<th>${__("Customer")}</th>
+							<th>${__("Status")}</th>
+							<th>${__("Sales Order")}</th>
+							<th>${__("Details")}</th>
+						</tr>
+					</thead>
+					<tbody>${rows}</tbody>
+				</table>
+			`,
+			wide: true
+		});
+	}
+
 	prepare_dom() {
 		this.wrapper.append(`
 			<div class="pos">
 				<section class="cart-container">
-
+					<div class="parked-orders"></div>
 				</section>
 				<section class="item-container">
 
@@ -86,66 +306,53 @@ erpnext.pos.OrderDesk = class OrderDesk {
 	make_cart() {
 		this.cart = new SalesOrderCart({
 			frm: this.frm,
+			store: this.store,
 			wrapper: this.wrapper.find('.cart-container'),
 			events: {
 				on_customer_change: (customer) => {
-					this.frm.set_value('customer', customer)
-						.then((response) => {
-							this.frm.doc.items.forEach(item => {
-								this.frm.script_manager.trigger('item_code', item.doctype, item.name)
-									.then(() => {
-										this.frm.doc.taxes = [];
-										this.update_item_in_frm(item, 'qty', item.qty)
-											.then(() => {
-												// update cart
-												frappe.run_serially([
-													() => {
-													if (item.qty === 0) {
-														frappe.model.clear_doc(item.doctype, item.name);
-													}
-													},
-													() => this.update_cart_data(item),
-													() => this.post_qty_change(item)
-												]);
-											});
-									});
-							})
+					this.frm.set_value(get_party_fieldname(this.frm.doctype), customer)
+						.then(() => {
+							this.extensions.trigger('after_customer_change', this, { customer });
+
+							if (this.store.state.cart.lines.length) {
+								this.frm.doc.taxes = [];
+							}
+
+							return this.commit('SET_CUSTOMER', customer);
 						});
 				},
+				on_no_charge_change: (no_charge_order) => {
+					this.set_no_charge_order(no_charge_order);
+				},
 				on_order_type_change: (order_type) => {
 					this.frm.set_value('order_type', order_type)
-
-					if (order_type == 'Sample') {
-						this.frm.set_value('additional_discount_percentage', 100);
-						this.frm.doc.items.forEach(item => {
-							this.items.events.update_cart(item.item_code, "discount_percentage", 100);
-						})
-					} else if (order_type == 'Sales') {
-						this.frm.set_value('additional_discount_percentage', 0);
-						this.frm.doc.items.forEach(item => {
-							this.items.events.update_cart(item.item_code, "discount_percentage", 0);
-						})
-					}
+					this.apply_order_type_rule(order_type);
 				},
 				submit_order: () => {
 					this.submit_sales_order()
 				},
+				park_order: () => {
+					this.park_order();
+				},
+				on_reorder: (items) => {
+					this.reorder_items(items);
+				},
 				on_delivery_date_change: (delivery_date) => {
-					if (!this.frm.doc.customer) {
+					if (!this.get_customer()) {
 						frappe.throw(__('Please select a customer'));
 					}
 					this.delivery_date = delivery_date;
 					if (delivery_date) {
-						frappe.db.get_value("Customer", { "name": this.frm.doc.customer }, "delivery_days", (r) => {
-							if (r.delivery_days) {
-								let day = moment(delivery_date).format('dddd');
-								let weekdays = JSON.parse(r.delivery_days);
-								if (!weekdays.includes(day)) {
-									frappe.msgprint(__("This order is set to be delivered on a {0}, but Customer only accepts deliveries on {1}.",
-										[day.bold(), weekdays.join(", ").bold()]));
+						this.cart.get_delivery_day(delivery_date)
+							.then((delivery_day) => {
+								if (delivery_day && delivery_day.issues.length) {
+									frappe.msgprint({
+										title: __("Delivery Date"),
+										message: delivery_day.issues.join("<br>"),
+										indicator: "orange"
+									});
 								}
-							}
-						})
+							});
 					}
 				},
 				on_delivery_window_change: (type, time) => {
@@ -155,8 +362,17 @@ erpnext.pos.OrderDesk = class OrderDesk {
 						this.frm.set_value("delivery_end_time", time);
 					}
 				},
-				on_field_change: (item_code, field, value, batch_no) => {
-					this.update_item_in_cart(item_code, field, value, batch_no);
+				on_line_change: (name, field, value) => {
+					this.update_line(name, field, value);
+				},
+				on_remove_line: (name) => {
+					this.commit('REMOVE_LINE', name);
+				},
+				on_discount_change: (discount_percentage) => {
+					this.commit('SET_DISCOUNT', discount_percentage);
+				},
+				on_discount_amount_change: (discount_amount) => {
+					this.set_discount_amount(discount_amount);
 				},
 				on_select_change: () => {
 					this.set_form_action();
@@ -164,17 +380,86 @@ erpnext.pos.OrderDesk = class OrderDesk {
 				get_item_details: (item_code) => {
 					return this.items.get(item_code);
 				},
-				update_batched_item: (item) => {
-					this.select_batch_and_serial_no(item)
+				get_item_batches: (item) => {
+					return this.get_item_batches(item);
+				},
+				on_batch_select: (line, allocations) => {
+					this.split_batches(line, allocations);
+				},
+				on_warehouse_change: (line, warehouse) => {
+					this.set_item_warehouse(line, warehouse);
 				}
 			}
 		});
 
-		frappe.ui.form.on('Sales Order', 'selling_price_list', (frm) => {
-			if(this.items.items && !this.items.items.length) {
-				this.items.reset_items();
-			}
-		})
+		['Sales Order', 'Quotation'].forEach(doctype => {
+			frappe.ui.form.on(doctype, 'selling_price_list', (frm) => {
+				if(this.items.items && !this.items.items.length) {
+					this.items.reset_items();
+				}
+			});
+		});
+	}
+
+	apply_order_type_rule(order_type) {
+		return frappe.call({
+			method: "bloomstack_core.bloomstack_core.doctype.order_type_settings.order_type_settings.get_order_type_rule",
+			args: { order_type }
+		}).then(r => {
+			const previous_rule = this.order_type_rule;
+			this.order_type_rule = r.message;
+
+			// the previous type's rule is undone first, so nothing it set carries over
+			return frappe.run_serially([
+				() => previous_rule && this.reset_order_type_rule(previous_rule),
+				() => this.order_type_rule && this.set_order_type_rule(this.order_type_rule)
+			]);
+		});
+	}
+
+	set_order_type_rule(rule) {
+		const { selling_price_list, warehouse } = rule;
+		this.price_list_without_rule = this.frm.doc.selling_price_list;
+
+		return frappe.run_serially([
+			() => {
+				if (selling_price_list && selling_price_list != this.frm.doc.selling_price_list) {
+					return this.frm.set_value('selling_price_list', selling_price_list);
+				}
+			},
+			() => {
+				if (warehouse) {
+					return frappe.run_serially(this.store.state.cart.lines.map(line => {
+						return () => this.set_item_warehouse(line, warehouse);
+					}));
+				}
+			},
+			// the rule's discount is taken off the whole order, not again on each line
+			() => this.commit('SET_DISCOUNT', flt(rule.discount_percentage))
+		]);
+	}
+
+	reset_order_type_rule(rule) {
+		const selling_price_list = this.price_list_without_rule;
+
+		return frappe.run_serially([
+			() => {
+				if (rule.selling_price_list && selling_price_list && selling_price_list != this.frm.doc.selling_price_list) {
+					return this.frm.set_value('selling_price_list', selling_price_list);
+				}
+			},
+			() => {
+				if (rule.warehouse) {
+					// lines the rule moved go back to their item's default warehouse
+					const lines = this.store.state.cart.lines.filter(line => line.warehouse === rule.warehouse);
+					return frappe.run_serially(lines.map(line => {
+						const item = this.items.get(line.item_code) || {};
+						return () => this.set_item_warehouse(line, item.default_warehouse);
+					}));
+				}
+			},
+			() => this.commit('SET_DISCOUNT', 0)
+		]);
 	}
 
 	toggle_editing(flag) {
@@ -200,308 +485,817 @@ erpnext.pos.OrderDesk = class OrderDesk {
 			wrapper: this.wrapper.find('.item-container'),
 			frm: this.frm,
 			events: {
+				is_online: () => this.is_online(),
 				update_cart: (item, field, value) => {
-					if (!this.frm.doc.customer) {
+					if (!this.get_customer()) {
 						frappe.throw(__('Please select a customer'));
 					}
-					// check and warn user if a batch item is our of stock.
-					const item_details = this.cart.events.get_item_details(item);
-
-					if (item_details.saleable_qty || !item_details.has_batch_no) {
-						this.update_item_in_cart(item, field, value);
-						this.cart && this.cart.unselect_all();
-					} else {
-						frappe.confirm(__(`Batch Item ${item_details.item_name} is out of stock, sure you want to add it to cart?`),
-							() => {
+
+					return this.approve_lines([{ item_code: item, field, value }])
+						.then((approved) => {
+							if (!approved.length) {
+								return;
+							}
+
+							// check and warn user if a batch item is our of stock.
+							const item_details = this.cart.events.get_item_details(item);
+
+							if (item_details.saleable_qty || !item_details.has_batch_no) {
 								this.update_item_in_cart(item, field, value);
 								this.cart && this.cart.unselect_all();
-							},
-							() => {}
-						);
-					}
+							} else {
+								frappe.confirm(__(`Batch Item ${item_details.item_name} is out of stock, sure you want to add it to cart?`),
+									() => {
+										this.update_item_in_cart(item, field, value);
+										this.cart && this.cart.unselect_all();
+									},
+									() => {}
+								);
+							}
+						});
+				},
+				get_item_decorations: (item) => {
+					return this.extensions.get_item_decorations(item);
 				}
 			}
 		});
 	}
 
-	update_item_in_cart(item_code, field='qty', value=0, batch_no) {
-		frappe.dom.freeze();
-		if(this.cart.exists(item_code, batch_no)) {
-			const search_field = batch_no ? 'batch_no' : 'item_code';
-			const search_value = batch_no || item_code;
-			const item = this.frm.doc.items.find(i => i[search_field] === search_value);
-			frappe.flags.hide_serial_batch_dialog = false;
+	approve_lines(lines) {
+		// every line going into the cart is offered to the `before_add_item` extensions first,
+		// whether it's picked from the catalog, reordered, restored or split across batches;
+		// resolves to the lines that weren't cancelled
+		const approved = [];
 
-			if (typeof value === 'string' && !in_list(['serial_no', 'batch_no'], field)) {
-				// value can be of type '+1' or '-1'
-				value = item[field] + flt(value);
-			}
+		return lines.reduce((promise, line) => promise.then(() => {
+			const { item_code, field, value } = line;
+			return this.extensions.trigger('before_add_item', this, { item_code, field, value })
+				.then((proceed) => {
+					if (proceed) {
+						approved.push(line);
+					}
+				});
+		}), Promise.resolve()).then(() => approved);
+	}
 
-			if (field === 'rate' && item) {
-				this.frm.doc.ignore_pricing_rule = 1;
+	update_item_in_cart(item_code, field='qty', value=0) {
+		// a scanned batch goes on its own line, everything else tops up the item's first line
+		const line = this.store.state.cart.lines.find(line => line.item_code === item_code);
+		if (line && field !== 'batch_no') {
+			return this.update_line(line.name, field, value);
+		}
 
-				if (value < 0) {
-					frappe.show_alert({
-						indicator: 'red',
-						message: __('Rate amount cannot be less than 0')
-					});
-					value = 0;
-				}
-			}
+		return this.add_line(item_code, field, value);
+	}
+
+	add_line(item_code, field, value) {
+		const item_details = this.items.get(item_code) || {};
+		const values = {
+			item_code,
+			item_name: item_details.item_name,
+			stock_uom: item_details.stock_uom,
+			has_batch_no: item_details.has_batch_no,
+			has_serial_no: item_details.has_serial_no,
+			warehouse: (this.order_type_rule && this.order_type_rule.warehouse) || null,
+			batch_no: field === 'batch_no' ? value : null,
+			serial_no: field === 'serial_no' ? value : '',
+			qty: field === 'qty' ? value : 1
+		};
 
-			if(field === 'serial_no') {
-				value = item.serial_no + '\n'+ value;
-			}
+		this.store.commit('ADD_LINE', values);
+		const line = this.store.getters.find_line(values);
 
-			// if actual_batch_qty and actual_qty if there is only one batch. In such
-			// a case, no point showing the dialog
-			const show_dialog = item.has_serial_no || item.has_batch_no;
+		return frappe.run_serially([
+			() => this.sync_cart(),
+			() => {
+				if (!line || !this.store.getters.get_line(line.name)) {
+					return;
+				}
 
-			if (value && show_dialog && field == 'qty' && ((!item.batch_no && item.has_batch_no) ||
-				(item.has_serial_no) || (item.actual_batch_qty != item.actual_qty)) ) {
-				this.update_item_in_frm(item, field, value);
-				this.frm.doc.items.forEach(item_row => {
-					this.update_item_in_frm(item_row)
-						.then(() => {
-							frappe.dom.unfreeze();
-							frappe.run_serially([
-								() => {
-									if (item_row.qty === 0) {
-										frappe.model.clear_doc(item_row.doctype, item_row.name);
-									}
-								},
-								() => this.update_cart_data(item_row),
-								() => this.post_qty_change(item_row)
-							]);
-						});
-					});
-				this.on_close(item);
-			} else {
-				this.update_item_in_frm(item, field, value)
-					.then(() => {
-						frappe.dom.unfreeze();
-						frappe.run_serially([
-							() => {
-								let items = this.frm.doc.items.map(item => item.name);
-								if (items && items.length > 0 && items.includes(item.name)) {
-									this.frm.doc.items.forEach(item_row => {
-										// update cart
-										this.on_qty_change(item_row);
-									});
-								} else {
-									this.on_qty_change(item);
-								}
-							},
-							() => this.post_qty_change(item)
-						]);
-					});
-			}
+				if (line.has_serial_no && field === 'qty') {
+					return this.select_batch_and_serial_no(line);
+				} else if (line.has_batch_no && !line.batch_no && this.frm.doctype === 'Sales Order') {
+					// pick the first-expiring batches, the rep can change them in the cart
+					return this.assign_batches(line);
+				}
+			},
+			() => this.cart.show_item(item_code)
+		]);
+	}
+
+	update_line(name, field, value) {
+		const line = this.store.getters.get_line(name);
+		if (!line) {
 			return;
 		}
 
-		let args = { item_code: item_code, delivery_date: this.delivery_date || null };
-		args['qty'] = 0;
-		if (in_list(['serial_no', 'batch_no','qty'], field)) {
-			args[field] = value;
+		const { apply_increment, is_increment } = erpnext.pos.order_desk.cart;
+		if (field === 'rate' && apply_increment(line.rate, value) < 0) {
+			frappe.show_alert({
+				indicator: 'red',
+				message: __('Rate amount cannot be less than 0')
+			});
+		} else if (field === 'qty' && !is_increment(value) && flt(value) < 0) {
+			frappe.msgprint(__("Quantity must be positive"));
 		}
 
-		// add to cur_frm
-		const item = this.frm.add_child('items', args);
-		frappe.flags.hide_serial_batch_dialog = true;
-
-		frappe.run_serially([
+		const item_code = line.item_code;
+		return frappe.run_serially([
 			() => {
-				return this.frm.script_manager.trigger('item_code', item.doctype, item.name)
-					.then(() => {
-						this.frm.script_manager.trigger('qty', item.doctype, item.name)
-							.then(() => {
-								frappe.run_serially([
-									() => {
-										let items = this.frm.doc.items.map(i => i.name);
-										if (items && items.length > 0 && items.includes(item.name)) {
-											this.frm.doc.items.forEach(item_row => {
-												// update cart
-												this.on_qty_change(item_row);
-											});
-										} else {
-											this.on_qty_change(item);
-										}
-									},
-									() => this.post_qty_change(item)
-								]);
-							});
-					});
+				if (field === 'rate') {
+					return this.commit('SET_RATE', { name, rate: value });
+				} else if (field === 'discount_percentage') {
+					return this.commit('SET_LINE_DISCOUNT', { name, discount_percentage: value });
+				} else if (field === 'serial_no') {
+					const serial_no = [line.serial_no, value].filter(Boolean).join('\n');
+					return this.commit('SET_SERIAL_NOS', { name, serial_no });
+				}
+
+				return this.commit('CHANGE_QTY', { name, qty: value });
 			},
 			() => {
-				const show_dialog = item.has_serial_no || item.has_batch_no;
-
-				// if actual_batch_qty and actual_qty if then there is only one batch. In such
-				// a case, no point showing the dialog
-				if (show_dialog && field == 'qty' && ((!item.batch_no && item.has_batch_no) ||
-					(item.has_serial_no) || (item.actual_batch_qty != item.actual_qty)) ) {
-					// check has serial no/batch no and update cart
-					this.select_batch_and_serial_no(item);
+				const updated_line = this.store.getters.get_line(name);
+				if (updated_line && updated_line.has_serial_no && field === 'qty') {
+					return this.select_batch_and_serial_no(updated_line);
 				}
+
+				this.cart.show_item(item_code);
 			}
 		]);
 	}
 
-	on_qty_change(item) {
-		if(item.has_batch_no && !item.batch_no){
-			this.on_close(item)
-			return;
+	commit(mutation, payload) {
+		this.store.commit(mutation, payload);
+		return this.sync_cart();
+	}
+
+	sync_cart() {
+		// syncs run one at a time, so quick repeated edits can't add the same row twice
+		this.cart_sync = (this.cart_sync || Promise.resolve())
+			.catch(() => {})
+			.then(() => this.sync_form_items())
+			.then(() => this.render_cart());
+
+		return this.cart_sync;
+	}
+
+	sync_form_items() {
+		// the form follows the store, so it can price the lines and work out the taxes
+		const state = this.store.state.cart;
+		const names = state.lines.map(line => line.name);
+		const removed_items = this.frm.doc.items.filter(item => !names.includes(item.name));
+
+		removed_items.forEach(item => frappe.model.clear_doc(item.doctype, item.name));
+		if (removed_items.length) {
+			this.frm.doc.taxes = (this.frm.doc.taxes || []).filter(tax => tax.item_wise_tax_detail !== '{}');
 		}
-		if (item.qty === 0) {
-			this.on_close(item);
+
+		this.frm.doc.ignore_pricing_rule = state.ignore_pricing_rule ? 1 : 0;
+		frappe.flags.hide_serial_batch_dialog = true;
+
+		return frappe.run_serially(state.lines.map(line => () => this.sync_form_item(line)).concat([
+			() => {
+				if (flt(this.frm.doc.additional_discount_percentage) !== flt(state.additional_discount_percentage)) {
+					return this.frm.set_value('additional_discount_percentage', state.additional_discount_percentage);
+				}
+			}
+		]));
+	}
+
+	sync_form_item(line) {
+		let item = this.frm.doc.items.find(item => item.name === line.name);
+		const is_new = !item;
+
+		if (is_new) {
+			item = this.frm.add_child('items', {
+				item_code: line.item_code,
+				warehouse: line.warehouse,
+				delivery_date: this.delivery_date || null
+			});
+			this.store.commit('RENAME_LINE', { from: line.name, to: item.name });
 		}
-		frappe.run_serially([
-			() => this.update_cart_data(item),
+
+		const needs_pricing = is_new || line.needs_pricing;
+		return frappe.run_serially([
+			() => {
+				if (needs_pricing) {
+					return this.frm.script_manager.trigger('item_code', item.doctype, item.name);
+				}
+			},
+			() => {
+				if (line.warehouse && item.warehouse !== line.warehouse) {
+					return frappe.model.set_value(item.doctype, item.name, 'warehouse', line.warehouse);
+				}
+			},
+			() => {
+				const is_changed = flt(item.qty) !== line.qty
+					|| (item.batch_no || null) !== line.batch_no
+					|| (item.serial_no || '') !== line.serial_no;
+
+				if (needs_pricing || is_changed) {
+					item.qty = line.qty;
+					item.batch_no = line.batch_no;
+					item.serial_no = line.serial_no;
+					return this.frm.script_manager.trigger('qty', item.doctype, item.name);
+				}
+			},
+			() => {
+				if (line.rate_overridden && flt(item.rate) !== line.rate) {
+					return frappe.model.set_value(item.doctype, item.name, 'rate', line.rate);
+				}
+			},
+			() => {
+				if (line.discount_overridden && flt(item.discount_percentage) !== line.discount_percentage) {
+					return frappe.model.set_value(item.doctype, item.name, 'discount_percentage', line.discount_percentage);
+				}
+			},
+			() => this.store.commit('SET_LINE_DETAILS', get_cart_line(item))
 		]);
 	}
 
-	post_qty_change(item) {
-		this.frm.cscript._calculate_taxes_and_totals()
+	render_cart() {
+		this.sync_totals();
+		this.cart.render_items(this.store.state.cart.lines);
+	}
+
+	sync_totals() {
+		this.frm.cscript._calculate_taxes_and_totals();
+		this.store.commit('SET_TOTALS', this.frm.doc);
+
+		this.cart.update_discount_fields();
 		this.cart.update_taxes_and_totals();
 		this.cart.update_grand_total();
 		this.cart.update_qty_total();
-		this.cart.scroll_to_item(item.item_code);
 		this.set_form_action();
+		this.refresh_extension_panels();
+	}
+
+	load_cart_from_form() {
+		this.store.commit('LOAD', {
+			customer: this.get_customer(),
+			lines: this.frm.doc.items.map(get_cart_line)
+		});
+
+		return this.sync_cart();
+	}
+
+	set_discount_amount(discount_amount) {
+		return frappe.run_serially([
+			() => frappe.model.set_value(this.frm.doctype, this.frm.docname, 'discount_amount', discount_amount),
+			() => this.frm.trigger('discount_amount'),
+			() => {
+				this.store.commit('SET_DISCOUNT', this.frm.doc.additional_discount_percentage);
+				this.sync_totals();
+			}
+		]);
+	}
+
+	get_item_batches(item) {
+		return frappe.call({
+			method: "bloomstack_core.bloomstack_core.page.order_desk.order_desk.get_item_batches",
+			args: {
+				item_code: item.item_code,
+				warehouse: item.warehouse
+			}
+		}).then(r => r.message || []);
 	}
 
-	select_batch_and_serial_no(row) {
-		frappe.dom.unfreeze();
-
-		erpnext.show_serial_batch_selector(this.frm, row, (success) => {
-			const updated_item = this.frm.doc.items.find(item => item.name === success.name)
-			if(updated_item){
-				this.update_item_in_frm(updated_item)
-			}else{
-				const item = this.frm.add_child('items', success);
-				this.frm.script_manager.trigger('item_code', item.doctype, item.name)
-					.then(() => {
-						this.frm.doc.items.forEach(item => {
-							this.update_item_in_frm(item, 'qty', item.qty)
-								.then(() => {
-									// update cart
-									frappe.run_serially([
-										() => {
-											if (item.qty === 0) {
-												frappe.model.clear_doc(item.doctype, item.name);
-											}
-										},
-										() => this.update_cart_data(item),
-										() => this.post_qty_change(item)
-									]);
-								});
-						})
+	assign_batches(line) {
+		return this.get_item_batches(line)
+			.then(batches => {
+				const allocations = erpnext.pos.order_desk.cart.get_fefo_allocations(batches, line.qty);
+				if (!allocations.length) {
+					frappe.show_alert({
+						indicator: 'orange',
+						message: __("No unexpired batches of {0} are in stock", [line.item_name.bold()])
 					});
+					return;
+				}
+
+				return this.split_batches(line, allocations);
+			});
+	}
+
+	split_batches(line, allocations) {
+		// batches an extension turns down are left off, and their qty stays on the line unbatched
+		return this.approve_lines(allocations.map(allocation => {
+			return Object.assign({ item_code: line.item_code, field: 'batch_no', value: allocation.batch_no }, allocation);
+		})).then((approved) => {
+			return this.commit('SPLIT_BATCHES', {
+				name: line.name,
+				allocations: approved.map(({ batch_no, qty }) => ({ batch_no, qty }))
+			});
+		});
+	}
+
+	set_item_warehouse(line, warehouse) {
+		if (!warehouse || warehouse === line.warehouse) {
+			return;
+		}
+
+		const { item_code, has_batch_no } = line;
+		return frappe.run_serially([
+			() => this.commit('SET_WAREHOUSE', { name: line.name, warehouse }),
+			() => {
+				// batches are held per warehouse, so the line is re-picked from the new one
+				const moved_line = this.store.getters.find_line({ item_code, warehouse });
+				if (moved_line && has_batch_no && this.frm.doctype === 'Sales Order') {
+					return this.assign_batches(moved_line);
+				}
 			}
+		]);
+	}
+
+	reorder_items(items) {
+		if (!this.get_customer()) {
+			frappe.throw(__('Please select a customer'));
+		}
+
+		// add lines one at a time, so repeated items increment
+		// the existing cart row instead of creating duplicates
+		return frappe.run_serially(items.map(item => {
+			const line = { item_code: item.item_code, field: 'qty', value: `+${flt(item.qty)}` };
+
+			return () => this.approve_lines([line])
+				.then(approved => approved.length && this.update_item_in_cart(line.item_code, line.field, line.value));
+		}));
+	}
+
+	make_extension_panels() {
+		this.$extension_panels = this.cart.wrapper.find('.extension-panels');
+		this.extensions.render_panels(this.$extension_panels, this);
+	}
+
+	refresh_extension_panels() {
+		if (this.$extension_panels) {
+			this.extensions.refresh_panels(this.$extension_panels, this);
+		}
+	}
+
+	select_batch_and_serial_no(line) {
+		const row = this.frm.doc.items.find(item => item.name === line.name);
+		if (!row) {
+			return;
+		}
+
+		erpnext.show_serial_batch_selector(this.frm, row, () => {
+			// the selector fills in the form rows itself
+			this.load_cart_from_form();
 		}, () => {
-			this.on_close(row);
+			if (!row.serial_no) {
+				this.commit('REMOVE_LINE', row.name);
+			}
 		}, true);
 	}
 
-	on_close(item) {
-		if (item.qty == 0 || (item.has_batch_no && !item.batch_no)) {
-			frappe.model.clear_doc(item.doctype, item.name);
+	reset_form() {
+		this.cart.delivery_date_field.set_value("");
+		if (this.autosave) {
+			this.autosave.clear();
 		}
-		setTimeout(() => {
-			const taxes = this.frm.doc.taxes || []
-			this.frm.doc.taxes = taxes.filter(tax => tax.item_wise_tax_detail !== '{}')
-			this.post_qty_change(item)
-		}, 500)
+		return this.make_new_order();
+	}
+
+	make_parked_orders() {
+		this.parked_orders = new OrderDeskParkedOrders({
+			wrapper: this.wrapper.find('.parked-orders'),
+			events: {
+				on_resume: (parked_order) => {
+					this.resume_order(parked_order);
+				}
+			}
+		});
 	}
 
-	update_cart_data(item) {
-		this.cart.add_item(item);
-		frappe.dom.unfreeze();
+	park_order() {
+		if (!this.frm.doc.items.length) {
+			frappe.msgprint(__("Add items to the cart before parking the order"));
+			return;
+		}
+
+		this.parked_orders.add(this.get_order_snapshot());
+		frappe.show_alert({
+			indicator: 'green',
+			message: __("Order for {0} has been parked", [(this.get_customer() || __("No Customer")).bold()])
+		});
+
+		return this.reset_form();
 	}
 
-	update_item_in_frm(item, field, value) {
-		if (field == 'qty' && value < 0) {
-			frappe.msgprint(__("Quantity must be positive"));
-			value = item.qty;
-		} else {
-			if (in_list(["qty", "serial_no", "batch"], field)) {
-				item[field] = value;
-				if (field == "serial_no" && value) {
-					let serial_nos = value.split("\n");
-					item["qty"] = serial_nos.filter(d => {
-						return d!=="";
-					}).length;
+	resume_order(parked_order) {
+		// park the cart in progress, so switching between customers never loses an order
+		if (this.frm.doc.items.length) {
+			this.parked_orders.add(this.get_order_snapshot());
+		}
+
+		this.parked_orders.remove(parked_order.id);
+		return this.restore_order(parked_order);
+	}
+
+	get_order_snapshot() {
+		return {
+			doctype: this.frm.doctype,
+			customer: this.get_customer(),
+			order_type: this.frm.doc.order_type,
+			no_charge_order: this.frm.doc.no_charge_order,
+			delivery_date: this.delivery_date,
+			delivery_start_time: this.frm.doc.delivery_start_time,
+			delivery_end_time: this.frm.doc.delivery_end_time,
+			additional_discount_percentage: this.frm.doc.additional_discount_percentage,
+			grand_total: this.frm.doc.grand_total,
+			currency: this.frm.doc.currency,
+			items: JSON.parse(JSON.stringify(this.frm.doc.items))
+		};
+	}
+
+	restore_order(order) {
+		const values = {};
+		["order_type", "delivery_start_time", "delivery_end_time"].forEach(field => {
+			if (order[field]) {
+				values[field] = order[field];
+			}
+		});
+
+		return frappe.run_serially([
+			() => this.switch_mode(order.doctype || 'Sales Order'),
+			() => this.reset_form(),
+			() => {
+				if (order.customer) {
+					values[get_party_fieldname(this.frm.doctype)] = order.customer;
+				}
+				return this.frm.set_value(values);
+			},
+			() => this.cart.set_order_details(order),
+			() => this.restore_items(order.items || []),
+			() => {
+				if (order.additional_discount_percentage) {
+					return this.commit('SET_DISCOUNT', order.additional_discount_percentage);
 				}
-			} else {
-				return frappe.model.set_value(item.doctype, item.name, field, value);
 			}
-		}
+		]);
+	}
+
+	restore_items(items) {
+		// rows are added one at a time, so each row's triggers finish before the next is added
+		return this.approve_lines(items.map(row => ({ item_code: row.item_code, field: 'qty', value: row.qty, row })))
+			.then(approved => frappe.run_serially(approved.map(({ row }) => () => this.add_item_row(row))))
+			.then(() => this.load_cart_from_form());
+	}
+
+	add_item_row(row) {
+		// copied rows already carry their rates, batches and discounts,
+		// so only the quantity is re-triggered to rebuild the totals
+		const local_fields = ['name', 'idx', 'parent', 'parentfield', 'parenttype', 'doctype'];
+		const values = {};
+
+		Object.keys(row)
+			.filter(field => !local_fields.includes(field) && !field.startsWith('__'))
+			.forEach(field => {
+				values[field] = row[field];
+			});
 
+		const item = this.frm.add_child('items', values);
 		return this.frm.script_manager.trigger('qty', item.doctype, item.name)
+			.then(() => item);
+	}
+
+	submit_sales_order() {
+		return this.extensions.trigger('before_submit', this, { doc: this.frm.doc })
+			.then((proceed) => {
+				if (proceed) {
+					return this.submit_order();
+				}
+			});
+	}
+
+	submit_order() {
+		if (this.frm.doctype === 'Quotation') {
+			return this.save_quotation();
+		}
+
+		if (!this.is_online()) {
+			// the compliance gate runs on the server when the queue is synced
+			this.queue_offline_order();
+			return;
+		}
+
+		return this.cart.load_license_status(this.frm.doc.customer)
+			.then(() => this.validate_license() && this.validate_credit())
+			.then((is_valid) => {
+				if (is_valid) {
+					return this.save_sales_order();
+				}
+			});
+	}
+
+	validate_credit() {
+		// reload with the order total, since the cart may have grown since the customer was picked
+		return this.cart.load_credit_status(this.frm.doc.customer, this.frm.doc.grand_total)
 			.then(() => {
-				if (field === 'qty' && item.qty === 0) {
-					frappe.model.clear_doc(item.doctype, item.name);
+				const credit_status = this.cart.credit_status;
+				if (!credit_status || !credit_status.issues.length) {
+					return true;
+				}
+
+				const message = credit_status.issues.join("<br>");
+				if (credit_status.action === "Block") {
+					frappe.msgprint({
+						title: __("Credit Check Failed"),
+						message: message,
+						indicator: "red"
+					});
+					return false;
 				}
-			})
+
+				return new Promise(resolve => {
+					frappe.confirm(message + "<br><br>" + __("Do you want to submit the order anyway?"),
+						() => resolve(true),
+						() => resolve(false)
+					);
+				});
+			});
 	}
-	
-	reset_form() {
-		this.cart.delivery_date_field.set_value("");
-		this.make_new_order();
-	}	
 
-	submit_sales_order() {
+	validate_license() {
+		const license_status = this.cart.license_status;
+		if (!license_status) {
+			frappe.msgprint(__('Please select a customer'));
+			return false;
+		}
+
+		// licenses are only enforced when compliance is turned on
+		if (!license_status.is_compliance_enabled) {
+			return true;
+		}
+
+		if (!license_status.is_valid) {
+			frappe.msgprint({
+				title: __("License Check Failed"),
+				message: license_status.message,
+				indicator: "red"
+			});
+			return false;
+		}
+
+		if (license_status.restricted_items.length) {
+			frappe.msgprint({
+				title: __("License Check Failed"),
+				message: __("License type {0} is not allowed to buy the following items. Remove them before submitting the order.",
+					[(license_status.license_type || __("None")).bold()]) + "<br><br>" + license_status.restricted_items.join("<br>"),
+				indicator: "red"
+			});
+			return false;
+		}
+
+		return true;
+	}
+
+	save_sales_order() {
 		// hack to set delivery date in the Sales Order during submit
 		// trying to set before it causes problems selecting items
-		let docname = this.frm.doc.name;
-		let doctype = this.frm.doc.doctype;
-		const me = this;
 		this.frm.doc.delivery_date = this.delivery_date;
 		this.frm.doc.items.forEach((item) => {
 			item.delivery_date = this.delivery_date;
 		});
-		this.frm.save()
+		// the follow-up documents can only be made from a submitted order
+		this.frm.save('Submit')
 			.then((r) => {
 				if (r && r.doc) {
 					this.frm.doc.docstatus = r.doc.docstatus;
 					frappe.show_alert({
 						indicator: 'green',
-						message: __(`Sales Order ${r.doc.name} created succesfully`)
+						message: __("Sales Order {0} created successfully", [r.doc.name])
+					});
+
+					this.toggle_editing();
+					this.set_form_action();
+					if (r.doc.docstatus === 1) {
+						this.show_post_submit_actions();
+					}
+					this.extensions.trigger('after_submit', this, { doc: this.frm.doc });
+				}
+			});
+	}
+
+	save_quotation() {
+		if (!this.is_online()) {
+			frappe.msgprint(__("Quotations can't be queued offline. Please save it once the connection returns."));
+			return;
+		}
+
+		if (!this.get_customer()) {
+			frappe.msgprint(__('Please select a customer'));
+			return;
+		}
+
+		return this.frm.save()
+			.then((r) => {
+				if (r && r.doc) {
+					frappe.show_alert({
+						indicator: 'green',
+						message: __("Quotation {0} saved successfully", [r.doc.name])
 					});
 
-					this.toggle_editing();
-					this.set_form_action();
-					this.set_primary_action_in_modal();
-				}
-				let dialog = new frappe.ui.Dialog({
-					title: __("Your order {0} has been created", [this.frm.doc.name]),
-					fields: [
-						{ fieldtype: "HTML", options: `<p>Do you want to create a new order?</p>` }
-					],
-					primary_action_label: "No",
-					primary_action() {
-						frappe.set_route("Form", doctype, docname);
-					},
-					secondary_action_label: "Yes",
-					secondary_action() {
-						me.reset_form();
-					}
-				});
-				dialog.show();
-			});
+					this.toggle_editing(false);
+					this.page.set_primary_action(__("New"), () => {
+						this.reset_form();
+					});
+					this.show_authorization_request();
+					this.extensions.trigger('after_submit', this, { doc: this.frm.doc });
+				}
+			});
+	}
+
+	show_authorization_request() {
+		const { doctype, name } = this.frm.doc;
+
+		const dialog = new frappe.ui.Dialog({
+			title: __("Your quotation {0} has been saved", [name]),
+			fields: [
+				{
+					fieldtype: "HTML",
+					options: `<p>${__("Send it to the customer to review and sign?")}</p>`
+				},
+				{
+					fieldname: "contact_email", fieldtype: "Data", label: __("Contact Email"), options: "Email",
+					default: this.frm.doc.contact_email, reqd: 1
+				},
+				{
+					fieldname: "contact_person", fieldtype: "Data", label: __("Contact Person"),
+					default: this.frm.doc.contact_display || this.frm.doc.contact_person, reqd: 1
+				}
+			],
+			primary_action_label: __("Send Authorization Request"),
+			primary_action: (values) => {
+				frappe.call({
+					method: "bloomstack_core.utils.create_authorization_request",
+					args: {
+						dt: doctype,
+						dn: name,
+						contact_email: values.contact_email,
+						contact_name: values.contact_person
+					},
+					freeze: true,
+					callback: (r) => {
+						if (!r.exc) {
+							dialog.hide();
+							frappe.msgprint(__("The document {0} has been successfully emailed to {1}",
+								[name, values.contact_person]));
+						}
+					}
+				});
+			},
+			secondary_action_label: __("New Quotation"),
+			secondary_action: () => {
+				dialog.hide();
+				this.reset_form();
+			}
+		});
+
+		dialog.show();
+	}
+
+	show_post_submit_actions() {
+		const { doctype, name } = this.frm.doc;
+
+		frappe.call({
+			method: "bloomstack_core.bloomstack_core.page.order_desk.order_desk.get_post_submit_settings",
+			callback: (r) => {
+				const settings = r.message || {};
+
+				const dialog = new frappe.ui.Dialog({
+					title: __("Your order {0} has been created", [name]),
+					fields: [
+						{ fieldtype: "Section Break", label: __("Next Steps") },
+						{ fieldname: "create_pick_list", fieldtype: "Check", label: __("Create Pick List"), default: settings.create_pick_list },
+						{ fieldname: "create_sales_invoice", fieldtype: "Check", label: __("Create Sales Invoice"), default: settings.create_sales_invoice },
+						{ fieldname: "create_delivery_note", fieldtype: "Check", label: __("Create Delivery Note"), default: settings.create_delivery_note },
+						{ fieldtype: "Column Break" },
+						{ fieldname: "email_customer", fieldtype: "Check", label: __("Email Customer"), default: settings.email_customer },
+						{
+							fieldname: "email_template", fieldtype: "Link", label: __("Email Template"), options: "Email Template",
+							default: settings.email_template, depends_on: "email_customer"
+						},
+						{ fieldname: "print_order", fieldtype: "Check", label: __("Print Order"), default: settings.print_order },
+						{
+							fieldname: "print_format", fieldtype: "Link", label: __("Print Format"), options: "Print Format",
+							default: settings.print_format,
+							get_query: () => {
+								return { filters: { doc_type: doctype, disabled: 0 } };
+							}
+						},
+						{ fieldtype: "Section Break" },
+						{ fieldname: "results", fieldtype: "HTML" }
+					],
+					primary_action_label: __("Run"),
+					primary_action: (values) => {
+						this.run_post_submit_actions(dialog, values);
+					},
+					secondary_action_label: __("New Order"),
+					secondary_action: () => {
+						dialog.hide();
+						this.reset_form();
+					}
+				});
+
+				dialog.show();
+			}
+		});
+	}
+
+	run_post_submit_actions(dialog, values) {
+		const { doctype, name } = this.frm.doc;
+
+		// printing opens a browser window, so it happens here rather than on the server
+		if (values.print_order) {
+			this.print_order(values.print_format);
+		}
+
+		const actions = ["create_pick_list", "create_sales_invoice", "create_delivery_note", "email_customer"];
+		if (!actions.some(action => values[action])) {
+			dialog.hide();
+			return;
+		}
+
+		dialog.get_primary_btn().prop("disabled", true);
+		frappe.call({
+			method: "bloomstack_core.bloomstack_core.page.order_desk.order_desk.run_post_submit_actions",
+			args: {
+				sales_order: name,
+				actions: values
+			},
+			freeze: true,
+			freeze_message: __("Running post-submit actions..."),
+			callback: (r) => {
+				dialog.fields_dict.results.$wrapper.html(this.get_post_submit_results_html(r.message || []));
+
+				// the actions have run, so the primary button now leads to the order instead
+				dialog.set_primary_action(__("Open Order"), () => {
+					dialog.hide();
+					frappe.set_route("Form", doctype, name);
+				});
+			},
+			always: () => {
+				dialog.get_primary_btn().prop("disabled", false);
+			}
+		});
+	}
+
+	get_post_submit_results_html(results) {
+		const indicators = {
+			"Created": "green",
+			"Sent": "green",
+			"Exists": "blue",
+			"Skipped": "orange",
+			"Failed": "red"
+		};
+
+		const rows = results.map(result => {
+			const links = result.names
+				.map(docname => frappe.utils.get_form_link(result.doctype, docname, true))
+				.join(", ");
+
+			return `
+				<tr>
+					<td>${__(result.doctype)}</td>
+					<td><span class="indicator ${indicators[result.status]}">${__(result.status)}</span></td>
+					<td>${links}</td>
+					<td>${result.message || ""}</td>
+				</tr>
+			`;
+		}).join("");
+
+		return `
+			<table class="table table-bordered post-submit-results">
+				<thead>
+					<tr>
+						<th>${__("Action")}</th>
+						<th>${__("Status")}</th>
+						<th>${__("Document")}</th>
+						<th>${__("Details")}</th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+		`;
 	}
 
-	set_primary_action_in_modal() {
-		if (!this.frm.msgbox) {
-			this.frm.msgbox = frappe.msgprint(
-				`<a class="btn btn-primary" onclick="cur_frm.print_preview.printit(true)" style="margin-right: 5px;">
-					${__('Print')}</a>
-				<a class="btn btn-default">
-					${__('New')}</a>`
-			);
+	print_order(print_format) {
+		if (!print_format) {
+			this.frm.print_preview.printit(true);
+			return;
+		}
+
+		const { doctype, name } = this.frm.doc;
+		const url = frappe.urllib.get_full_url("/printview?"
+			+ "doctype=" + encodeURIComponent(doctype)
+			+ "&name=" + encodeURIComponent(name)
+			+ "&format=" + encodeURIComponent(print_format)
+			+ "&trigger_print=1");
 
-			$(this.frm.msgbox.body).find('.btn-default').on('click', () => {
-				this.frm.msgbox.hide();
-				this.make_new_order();
-			})
+		const printed = window.open(url);
+		if (!printed) {
+			frappe.msgprint(__("Please enable pop-ups to print the order"));
 		}
 	}
 
@@ -522,13 +1316,18 @@ erpnext.pos.OrderDesk = class OrderDesk {
 	make_new_order() {
 		return frappe.run_serially([
 			() => this.make_sales_order_frm(),
+			() => this.store.commit('RESET'),
 			() => {
 				if (this.cart) {
 					this.cart.frm = this.frm;
+					this.items.frm = this.frm;
+					this.cart.set_mode(this.frm.doctype);
 					this.cart.reset();
 				} else {
 					this.make_items();
 					this.make_cart();
+					this.make_parked_orders();
+					this.make_extension_panels();
 				}
 				this.toggle_editing(true);
 			},
@@ -542,10 +1341,10 @@ erpnext.pos.OrderDesk = class OrderDesk {
 	}
 
 	make_sales_order_frm() {
-		const doctype = 'Sales Order';
+		const doctype = this.doctype;
 		return new Promise(resolve => {
-			if (this.frm) {
-				this.frm = get_frm(this.frm);
+			if (this.forms[doctype]) {
+				this.frm = get_frm(this.forms[doctype]);
 				if(this.company) {
 					this.frm.doc.company = this.company;
 				}
@@ -554,6 +1353,11 @@ erpnext.pos.OrderDesk = class OrderDesk {
 			} else {
 				frappe.model.with_doctype(doctype, () => {
 					this.frm = get_frm();
+					if(this.company) {
+						this.frm.doc.company = this.company;
+					}
+
+					this.forms[doctype] = this.frm;
 					resolve();
 				});
 			}
@@ -567,10 +1371,68 @@ erpnext.pos.OrderDesk = class OrderDesk {
 			frm.doc.items = [];
 			frm.doc.is_pos = 1;
 
+			if (doctype === 'Quotation') {
+				frm.doc.quotation_to = 'Customer';
+			}
+
 			return frm;
 		}
 	}
 
+	make_mode_field() {
+		this.mode_field = this.page.add_field({
+			fieldname: 'order_desk_mode',
+			label: __('Mode'),
+			fieldtype: 'Select',
+			options: ['Sales Order', 'Quotation'],
+			default: this.doctype,
+			change: () => {
+				this.set_mode(this.mode_field.get_value());
+			}
+		});
+	}
+
+	set_mode(doctype) {
+		if (!doctype || doctype === this.doctype || !this.cart) {
+			return;
+		}
+
+		// carry the cart over, so a quote can be turned into an order and back
+		const order = this.get_order_snapshot();
+		order.doctype = doctype;
+
+		if (this.get_customer() || this.frm.doc.items.length) {
+			return this.restore_order(order);
+		}
+
+		this.switch_mode(doctype);
+		return this.reset_form();
+	}
+
+	switch_mode(doctype) {
+		this.doctype = doctype;
+		if (this.mode_field && this.mode_field.get_value() !== doctype) {
+			this.mode_field.set_input(doctype);
+		}
+	}
+
+	get_customer() {
+		return this.frm.doc[get_party_fieldname(this.frm.doctype)];
+	}
+
+	set_no_charge_order(no_charge_order) {
+		if (cint(no_charge_order) === cint(this.frm.doc.no_charge_order)) {
+			return;
+		}
+
+		// the promotional discount is applied by the doctype's own form script, which
+		// `set_value` waits for before it resolves
+		return frappe.run_serially([
+			() => this.frm.set_value('no_charge_order', cint(no_charge_order)),
+			() => this.commit('SET_DISCOUNT', this.frm.doc.additional_discount_percentage)
+		]);
+	}
+
 
 	prepare_menu() {
 		var me = this;
@@ -580,6 +1442,61 @@ erpnext.pos.OrderDesk = class OrderDesk {
 			frappe.model.sync(me.frm.doc);
 			frappe.set_route("Form", me.frm.doc.doctype, me.frm.doc.name);
 		});
+
+		this.page.add_menu_item(__("Keyboard Shortcuts"), () => {
+			this.show_shortcuts();
+		});
+	}
+
+	get_shortcuts() {
+		return [
+			{ shortcut: 'ctrl+i', description: __('Focus item search'), action: () => this.items.search_field.set_focus() },
+			{ shortcut: 'ctrl+up', description: __('Select previous cart line'), action: () => this.cart.select_adjacent_item(-1) },
+			{ shortcut: 'ctrl+down', description: __('Select next cart line'), action: () => this.cart.select_adjacent_item(1) },
+			{ shortcut: 'alt+up', description: __('Increase quantity of selected line'), action: () => this.cart.change_selected_qty('+1') },
+			{ shortcut: 'alt+down', description: __('Decrease quantity of selected line'), action: () => this.cart.change_selected_qty('-1') },
+			{ shortcut: 'alt+q', description: __('Edit quantity of selected line'), action: () => this.cart.focus_selected_field('quantity') },
+			{ shortcut: 'alt+r', description: __('Edit rate of selected line'), action: () => this.cart.focus_selected_field('rate') },
+			{ shortcut: 'alt+d', description: __('Edit order discount'), action: () => this.cart.focus_discount() },
+			{ shortcut: 'alt+p', description: __('Park order'), action: () => this.park_order() },
+			{ shortcut: 'ctrl+enter', description: __('Submit order'), action: () => this.submit_sales_order() }
+		];
+	}
+
+	bind_shortcuts() {
+		this.get_shortcuts().forEach(({ shortcut, action }) => {
+			frappe.ui.keys.on(shortcut, (e) => {
+				// shortcuts are registered globally, so only act while Order Desk is open
+				if (frappe.get_route_str() !== 'order-desk' || !this.cart || this.frm.doc.docstatus == 1) {
+					return;
+				}
+
+				e.preventDefault();
+				action();
+				return false;
+			});
+		});
+	}
+
+	show_shortcuts() {
+		const rows = this.get_shortcuts().map(({ shortcut, description }) => `
+			<tr>
+				<td><kbd>${shortcut.split('+').map(key => frappe.utils.to_title_case(key)).join(' + ')}</kbd></td>
+				<td>${description}</td>
+			</tr>
+		`).join("");
+
+		frappe.msgprint({
+			title: __("Keyboard Shortcuts"),
+			message: `
+				<table class="table table-condensed">
+					<tbody>${rows}</tbody>
+				</table>
+				<p class="text-muted small">
+					${__("Scanning a barcode, serial number, batch or METRC package tag adds the item to the cart, wherever the cursor is.")}
+				</p>
+			`
+		});
 	}
 
 	set_form_action() {
@@ -614,6 +1531,7 @@ class OrderDeskItems {
 		this.items = {};
 		this.events = events;
 		this.currency = this.frm.doc.currency;
+		this.page_length = 40;
 
 		frappe.db.get_value("Item Group", {lft: 1, is_group: 1}, "name", (r) => {
 			this.parent_item_group = r.name;
@@ -622,20 +1540,63 @@ class OrderDeskItems {
 
 			this.init_clusterize();
 			this.bind_events();
+			this.bind_scanner();
 			this.load_items_data();
 		})
 	}
 
 	load_items_data() {
-		// bootstrap with 20 items
+		// bootstrap with the first page, further pages load on scroll
+		this.current_filters = { search_term: '', item_group: this.parent_item_group };
 		this.get_items()
 			.then(({ items }) => {
 				this.all_items = items;
-				this.items = items;
-				this.render_items(items);
+				this.set_items(items);
+			});
+	}
+
+	set_items(items, has_more) {
+		this.items = items;
+		this.has_more = has_more !== undefined ? has_more
+			: items.length > 0 && items.length % this.page_length === 0;
+		this.render_items(items);
+	}
+
+	load_more_items() {
+		if (this.loading_more || !this.has_more || !this.events.is_online()) {
+			return;
+		}
+
+		const { search_term, item_group } = this.current_filters;
+		this.loading_more = true;
+		this.toggle_loading(true);
+
+		this.get_items({ start: this.items.length, search_value: search_term, item_group })
+			.then(({ items }) => {
+				this.loading_more = false;
+				this.toggle_loading(false);
+
+				// drop pages that arrive after the filters have changed
+				if (search_term !== this.current_filters.search_term
+					|| item_group !== this.current_filters.item_group) {
+					return;
+				}
+
+				const loaded_items = this.items.concat(items);
+				if (search_term) {
+					this.search_index[search_term] = loaded_items;
+				} else if (item_group == this.parent_item_group) {
+					this.all_items = loaded_items;
+				}
+
+				this.set_items(loaded_items, items.length === this.page_length);
 			});
 	}
 
+	toggle_loading(flag) {
+		this.wrapper.find('.items-loading').toggleClass('hide', !flag);
+	}
+
 	reset_items() {
 		this.wrapper.find('.pos-items').empty();
 		this.init_clusterize();
@@ -660,6 +1621,9 @@ class OrderDeskItems {
 				<div class="pos-items image-view-container">
 				</div>
 			</div>
+			<div class="items-loading text-muted text-center hide">
+				${__('Loading...')}
+			</div>
 		`);
 	}
 
@@ -670,16 +1634,12 @@ class OrderDeskItems {
 			df: {
 				fieldtype: 'Data',
 				label: __('Search Item (Ctrl + i)'),
-				placeholder: __('Search by item code, serial number, batch no or barcode')
+				placeholder: __('Search or scan an item code, serial number, batch no, package tag or barcode')
 			},
 			parent: this.wrapper.find('.search-field'),
 			render_input: true,
 		});
 
-		frappe.ui.keys.on('ctrl+i', () => {
-			this.search_field.set_focus();
-		});
-
 		this.search_field.$input.on('input', (e) => {
 			clearTimeout(this.last_search);
 			this.last_search = setTimeout(() => {
@@ -748,21 +1708,21 @@ class OrderDeskItems {
 	}
 
 	filter_items({ search_term='', item_group=this.parent_item_group }={}) {
+		search_term = search_term.toLowerCase();
+		this.current_filters = { search_term, item_group };
+
 		if (search_term) {
-			search_term = search_term.toLowerCase();
 
 			// memoize
 			this.search_index = this.search_index || {};
 			if (this.search_index[search_term]) {
 				const items = this.search_index[search_term];
-				this.items = items;
-				this.render_items(items);
+				this.set_items(items);
 				this.set_item_in_the_cart(items);
 				return;
 			}
 		} else if (item_group == this.parent_item_group) {
-			this.items = this.all_items;
-			return this.render_items(this.all_items);
+			return this.set_items(this.all_items);
 		}
 
 		this.get_items({search_value: search_term, item_group })
@@ -771,8 +1731,7 @@ class OrderDeskItems {
 					this.search_index[search_term] = items;
 				}
 
-				this.items = items;
-				this.render_items(items);
+				this.set_items(items, items.length === this.page_length);
 				this.set_item_in_the_cart(items, serial_no, batch_no, barcode);
 			});
 	}
@@ -804,8 +1763,94 @@ class OrderDeskItems {
 		this.search_field.$input.trigger("input");
 	}
 
+	bind_scanner() {
+		// scanners type a whole code within a few milliseconds and finish with Enter,
+		// which no person typing can match, so fast input is treated as a scan
+		const max_key_interval = 30;
+		const min_scan_length = 4;
+
+		this.scan_buffer = '';
+		this.last_keypress = 0;
+
+		$(document).on('keypress', (e) => {
+			if (frappe.get_route_str() !== 'order-desk') {
+				return;
+			}
+
+			const now = Date.now();
+			if (now - this.last_keypress > max_key_interval) {
+				this.scan_buffer = '';
+			}
+			this.last_keypress = now;
+
+			if (e.which === 13) {
+				if (this.scan_buffer.length >= min_scan_length) {
+					e.preventDefault();
+					this.clear_scanned_input(e.target, this.scan_buffer);
+					this.on_scan(this.scan_buffer);
+				}
+				this.scan_buffer = '';
+			} else if (e.key && e.key.length === 1) {
+				this.scan_buffer += e.key;
+			}
+		});
+	}
+
+	clear_scanned_input(target, scanned_value) {
+		// the scanner "typed" into whichever input had focus, so strip the code back out
+		const $target = $(target);
+		if (!$target.is('input') || $target.is(this.search_field.$input)) {
+			return;
+		}
+
+		const value = $target.val() || '';
+		if (value.endsWith(scanned_value)) {
+			$target.val(value.slice(0, -scanned_value.length));
+		}
+	}
+
+	on_scan(scanned_value) {
+		// stop the search box from also handling the scanned code
+		clearTimeout(this.last_search);
+		this.search_field.set_value('');
+
+		return this.get_items({ search_value: scanned_value })
+			.then(({ items, serial_no, batch_no, barcode }) => {
+				if (serial_no || batch_no || barcode) {
+					this.set_item_in_the_cart(items, serial_no, batch_no, barcode);
+					return;
+				}
+
+				const item = items.find(item => item.item_code.toLowerCase() === scanned_value.toLowerCase())
+					|| (items.length === 1 && items[0]);
+
+				if (item) {
+					this.events.update_cart(item.item_code, 'qty', '+1');
+				} else {
+					frappe.show_alert({
+						indicator: 'red',
+						message: __("No item found for {0}", [scanned_value.bold()])
+					});
+				}
+			});
+	}
+
 	bind_events() {
 		var me = this;
+		this.wrapper.find('.pos-items-wrapper').on('scroll', function() {
+			// start fetching the next page before the last row comes into view
+			if (this.scrollTop + this.clientHeight >= this.scrollHeight - 200) {
+				me.load_more_items();
+			}
+		});
+
+		this.wrapper.on('click', '[data-action="stock_breakdown"]', function(event) {
+			// the breakdown shouldn't also add the item to the cart
+			event.stopPropagation();
+			const item_code = unescape($(this).closest('.pos-item-wrapper').attr('data-item-code'));
+			me.show_stock_breakdown(me.get(item_code));
+		});
+
 		this.wrapper.on('click', '.pos-item-wrapper', function() {
 			const $item = $(this);
 			const item_code = unescape($item.attr('data-item-code'));
@@ -813,6 +1858,46 @@ class OrderDeskItems {
 		});
 	}
 
+	show_stock_breakdown(item) {
+		const rows = (item.warehouses || []).map(stock => {
+			const is_default = stock.warehouse === item.default_warehouse;
+
+			return `
+				<tr>
+					<td>${stock.warehouse} ${is_default ? `<span class="text-muted">(${__("Default")})</span>` : ''}</td>
+					<td class="text-right">${stock.actual_qty}</td>
+					<td class="text-right">${stock.reserved_qty}</td>
+					<td class="text-right ${stock.saleable_qty > 0 ? 'text-success' : 'text-danger'}">${stock.saleable_qty}</td>
+					<td class="text-right">${stock.ordered_qty}</td>
+					<td class="text-right">${stock.planned_qty}</td>
+				</tr>
+			`;
+		}).join("");
+
+		frappe.msgprint({
+			title: __("{0} Stock by Warehouse", [item.item_name || item.item_code]),
+			message: `
+				<table class="table table-bordered stock-breakdown">
+					<thead>
+						<tr>
+							<th>${__("Warehouse")}</th>
+							<th class="text-right">${__("Actual")}</th>
+							<th class="text-right">${__("Reserved")}</th>
+							<th class="text-right">${__("Saleable")}</th>
+							<th class="text-right">${__("Incoming (Purchase Orders)")}</th>
+							<th class="text-right">${__("Incoming (Work Orders)")}</th>
+						</tr>
+					</thead>
+					<tbody>${rows}</tbody>
+				</table>
+				<p class="text-muted small">
+					${__("Quantities are in {0}. Change the warehouse of a cart line to fulfil it from another warehouse.", [item.stock_uom])}
+				</p>
+			`,
+			wide: true
+		});
+	}
+
 	get(item_code) {
 		let item = {};
 		this.items.map(data => {
@@ -832,6 +1917,7 @@ class OrderDeskItems {
 		const price_list_rate = format_currency(item.price_list_rate, this.currency);
 		const item_qty_display = item.saleable_qty > 0 ? `Stock: ${item.saleable_qty} ${item.stock_uom}` : "Out of Stock"
 		const { item_code, item_name, item_image,item_group} = item;
+		const warehouse_count = (item.warehouses || []).length;
 		const item_title = item_name || item_code;
 
 		const template = `
@@ -865,37 +1951,398 @@ class OrderDeskItems {
 						<span class="price-info">
 							${item_qty_display}
 						</span>
+						${warehouse_count ? `<span class="price-info stock-breakdown-link" data-action="stock_breakdown">
+							${__("{0} Warehouse(s)", [warehouse_count])}
+						</span>` : ''}
+						${this.events.get_item_decorations(item)}
 					</a>
 				</div>
 			</div>
 		`;
 
-		return template;
+		return template;
+	}
+
+	get_items({start = 0, page_length = this.page_length, search_value='', item_group=this.parent_item_group}={}) {
+		const price_list = this.frm.doc.selling_price_list;
+
+		if (!this.events.is_online()) {
+			return Promise.resolve({
+				items: this.get_cached_items({ price_list, item_group, search_value })
+			});
+		}
+
+		return new Promise(res => {
+					frappe.call({
+						method: "bloomstack_core.bloomstack_core.page.order_desk.order_desk.get_items",
+						args: {
+							start,
+							page_length,
+							price_list,
+							item_group,
+							search_value
+						}
+					}).then(r => {
+						this.cache_items({ price_list, item_group, items: r.message.items });
+						res(r.message);
+					});
+		});
+	}
+
+	get_cache_key(price_list, item_group) {
+		return `order_desk_items:${price_list}:${item_group}`;
+	}
+
+	cache_items({ price_list, item_group, items }) {
+		// every fetched item is kept, so the catalog keeps working
+		// for searches made after the connection drops
+		const key = this.get_cache_key(price_list, item_group);
+		const cached_items = JSON.parse(localStorage.getItem(key) || "{}");
+
+		(items || []).forEach(item => {
+			cached_items[item.item_code] = item;
+		});
+
+		try {
+			localStorage.setItem(key, JSON.stringify(cached_items));
+		} catch (e) {
+			// storage is full; the catalog will be served from the last successful write
+		}
+	}
+
+	get_cached_items({ price_list, item_group, search_value }) {
+		const key = this.get_cache_key(price_list, item_group);
+		const cached_items = Object.values(JSON.parse(localStorage.getItem(key) || "{}"));
+		const search_term = (search_value || "").toLowerCase();
+
+		if (!search_term) {
+			return cached_items;
+		}
+
+		return cached_items.filter(item => {
+			return item.item_code.toLowerCase().includes(search_term)
+				|| (item.item_name || "").toLowerCase().includes(search_term);
+		});
+	}
+}
+
+class CustomerOrderHistory {
+	constructor({wrapper, events}) {
+		this.wrapper = wrapper;
+		this.events = events;
+		this.collapsed = false;
+
+		this.make_dom();
+		this.bind_events();
+		this.load();
+	}
+
+	make_dom() {
+		this.wrapper.html(`
+			<div class="customer-history-panel">
+				<div class="customer-history-header text-muted" data-action="toggle">
+					${__('Order History')}
+					<i class="octicon octicon-chevron-up pull-right"></i>
+				</div>
+				<div class="customer-history-body">
+					<div class="customer-history-orders"></div>
+					<div class="customer-history-top-items"></div>
+				</div>
+			</div>
+		`);
+
+		this.$body = this.wrapper.find('.customer-history-body');
+		this.$orders = this.wrapper.find('.customer-history-orders');
+		this.$top_items = this.wrapper.find('.customer-history-top-items');
+	}
+
+	load(customer) {
+		this.customer = customer;
+		this.history = { orders: [], top_items: [] };
+
+		if (!customer) {
+			this.wrapper.hide();
+			return;
+		}
+
+		return frappe.call({
+			method: "bloomstack_core.bloomstack_core.page.order_desk.order_desk.get_customer_order_history",
+			args: { customer }
+		}).then(r => {
+			// ignore responses for a customer that has since been changed
+			if (customer !== this.customer) {
+				return;
+			}
+
+			this.history = r.message;
+			this.render();
+		});
+	}
+
+	render() {
+		const { orders, top_items } = this.history;
+
+		this.wrapper.toggle(orders.length > 0);
+		this.$orders.html(`
+			<table class="table table-condensed">
+				<thead>
+					<tr>
+						<th>${__('Recent Orders')}</th>
+						<th>${__('Date')}</th>
+						<th class="text-right">${__('Total')}</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					${orders.map(order => `
+						<tr data-order="${order.name}">
+							<td>${frappe.utils.get_form_link("Sales Order", order.name, true)}</td>
+							<td>${frappe.datetime.str_to_user(order.transaction_date)}</td>
+							<td class="text-right">${format_currency(order.grand_total, order.currency)}</td>
+							<td class="text-right">
+								<button class="btn btn-default btn-xs" data-action="reorder_all">${__('Reorder All')}</button>
+							</td>
+						</tr>
+					`).join("")}
+				</tbody>
+			</table>
+		`);
+
+		this.$top_items.html(`
+			<table class="table table-condensed">
+				<thead>
+					<tr>
+						<th>${__('Most Purchased')}</th>
+						<th class="text-right">${__('Total Qty')}</th>
+						<th class="text-right">${__('Orders')}</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					${top_items.map(item => `
+						<tr data-item-code="${escape(item.item_code)}">
+							<td class="ellipsis" title="${item.item_name}">${item.item_name}</td>
+							<td class="text-right">${item.total_qty}</td>
+							<td class="text-right">${item.order_count}</td>
+							<td class="text-right">
+								<button class="btn btn-default btn-xs" data-action="add_line">${__('Add')}</button>
+							</td>
+						</tr>
+					`).join("")}
+				</tbody>
+			</table>
+		`);
+	}
+
+	toggle(flag) {
+		this.collapsed = flag !== undefined ? !flag : !this.collapsed;
+		this.$body.toggle(!this.collapsed);
+		this.wrapper.find('.customer-history-header .octicon')
+			.toggleClass('octicon-chevron-up', !this.collapsed)
+			.toggleClass('octicon-chevron-down', this.collapsed);
+	}
+
+	bind_events() {
+		const me = this;
+
+		this.wrapper.on('click', '[data-action="toggle"]', () => {
+			this.toggle();
+		});
+
+		this.wrapper.on('click', '[data-action="reorder_all"]', function() {
+			const order_name = $(this).closest('tr').attr('data-order');
+			const order = me.history.orders.find(order => order.name === order_name);
+			if (order) {
+				me.events.on_reorder(order.items);
+			}
+		});
+
+		this.wrapper.on('click', '[data-action="add_line"]', function() {
+			const item_code = unescape($(this).closest('tr').attr('data-item-code'));
+			const item = me.history.top_items.find(item => item.item_code === item_code);
+			if (item) {
+				me.events.on_reorder([{ item_code: item.item_code, qty: Math.round(item.average_qty) || 1 }]);
+			}
+		});
+	}
+}
+
+class OrderDeskParkedOrders {
+	constructor({wrapper, events}) {
+		this.wrapper = wrapper;
+		this.events = events;
+		this.key = `order_desk_parked_orders:${frappe.session.user}`;
+
+		this.make_dom();
+		this.bind_events();
+		this.render();
+	}
+
+	make_dom() {
+		this.wrapper.html(`
+			<div class="parked-orders-sidebar">
+				<div class="parked-orders-header text-muted">
+					${__('Parked Orders')}
+					<span class="badge parked-orders-count">0</span>
+				</div>
+				<div class="parked-orders-list"></div>
+			</div>
+		`);
+
+		this.$count = this.wrapper.find('.parked-orders-count');
+		this.$list = this.wrapper.find('.parked-orders-list');
+	}
+
+	get_orders() {
+		return JSON.parse(localStorage.getItem(this.key) || "[]");
+	}
+
+	set_orders(orders) {
+		localStorage.setItem(this.key, JSON.stringify(orders));
+		this.render();
+	}
+
+	get(id) {
+		return this.get_orders().find(order => order.id === id);
+	}
+
+	add(order) {
+		const orders = this.get_orders();
+		orders.push(Object.assign({
+			id: frappe.utils.get_random(10),
+			parked_on: frappe.datetime.now_datetime()
+		}, order));
+		this.set_orders(orders);
+	}
+
+	remove(id) {
+		this.set_orders(this.get_orders().filter(order => order.id !== id));
+	}
+
+	render() {
+		const orders = this.get_orders();
+
+		this.wrapper.toggle(orders.length > 0);
+		this.$count.text(orders.length);
+		this.$list.html(orders.map(order => this.get_order_html(order)).join(""));
+	}
+
+	get_order_html(order) {
+		const items = order.items || [];
+		const total_qty = items.reduce((total, item) => total + flt(item.qty), 0);
+
+		return `
+			<div class="parked-order" data-id="${order.id}">
+				<div class="parked-order-details">
+					<div class="bold ellipsis">${order.customer || __('No Customer')}</div>
+					<div class="text-muted small">
+						${__('{0} items, Qty: {1}', [items.length, total_qty])}
+						&middot; ${format_currency(order.grand_total, order.currency)}
+						&middot; ${comment_when(order.parked_on)}
+					</div>
+				</div>
+				<div class="parked-order-actions">
+					<button class="btn btn-default btn-xs" data-action="resume">${__('Resume')}</button>
+					<button class="btn btn-danger btn-xs" data-action="discard">${__('Discard')}</button>
+				</div>
+			</div>
+		`;
+	}
+
+	bind_events() {
+		const me = this;
+
+		this.wrapper.on('click', '[data-action="resume"]', function() {
+			const order = me.get($(this).closest('.parked-order').attr('data-id'));
+			if (order) {
+				me.events.on_resume(order);
+			}
+		});
+
+		this.wrapper.on('click', '[data-action="discard"]', function() {
+			const order = me.get($(this).closest('.parked-order').attr('data-id'));
+			if (order) {
+				frappe.confirm(__("Are you sure you want to discard the parked order for {0}?",
+					[(order.customer || __("No Customer")).bold()]), () => me.remove(order.id));
+			}
+		});
 	}
+}
 
-	get_items({start = 0, page_length = 40, search_value='', item_group=this.parent_item_group}={}) {
-		const price_list = this.frm.doc.selling_price_list;
-		return new Promise(res => {
-					frappe.call({
-						method: "bloomstack_core.bloomstack_core.page.order_desk.order_desk.get_items",
-						freeze: true,
-						args: {
-							start,
-							page_length,
-							price_list,
-							item_group,
-							search_value
-						}
-					}).then(r => {
-						res(r.message);
-					});
+class OrderDeskOfflineQueue {
+	constructor() {
+		this.key = `order_desk_offline_orders:${frappe.session.user}`;
+	}
+
+	get_orders() {
+		return JSON.parse(localStorage.getItem(this.key) || "[]");
+	}
+
+	set_orders(orders) {
+		localStorage.setItem(this.key, JSON.stringify(orders));
+	}
+
+	add(doc) {
+		const orders = this.get_orders();
+		orders.push({
+			offline_id: frappe.utils.get_random(20),
+			queued_on: frappe.datetime.now_datetime(),
+			doc: JSON.parse(JSON.stringify(doc))
 		});
+		this.set_orders(orders);
+	}
+
+	remove(offline_id) {
+		this.set_orders(this.get_orders().filter(order => order.offline_id !== offline_id));
+	}
+}
+
+class OrderDeskAutosave {
+	constructor() {
+		this.key = `order_desk_autosave:${frappe.session.user}`;
+		this.expiry_hours = 24;
+		this.last_saved = null;
+	}
+
+	get() {
+		const draft = JSON.parse(localStorage.getItem(this.key) || "null");
+		if (!draft) {
+			return;
+		}
+
+		// an expiry of 0 keeps the draft until it is restored or discarded
+		const age_in_hours = frappe.datetime.get_hour_diff(frappe.datetime.now_datetime(), draft.saved_on);
+		if (this.expiry_hours && age_in_hours >= this.expiry_hours) {
+			this.clear();
+			return;
+		}
+
+		return draft;
+	}
+
+	save(order) {
+		const serialized_order = JSON.stringify(order);
+		if (serialized_order === this.last_saved) {
+			return;
+		}
+
+		this.last_saved = serialized_order;
+		localStorage.setItem(this.key, JSON.stringify({
+			saved_on: frappe.datetime.now_datetime(),
+			order
+		}));
+	}
+
+	clear() {
+		this.last_saved = null;
+		localStorage.removeItem(this.key);
 	}
 }
 
 class SalesOrderCart {
-	constructor({frm, wrapper, events}) {
+	constructor({frm, store, wrapper, events}) {
 		this.frm = frm;
+		this.store = store;
 		this.item_data = {};
 		this.wrapper = wrapper;
 		this.events = events;
@@ -907,8 +2354,21 @@ class SalesOrderCart {
 		this.make_dom();
 		this.make_customer_field();
 		this.make_order_type_field();
+		this.make_no_charge_field();
 		this.make_delivery_date_field();
 		this.make_delivery_window_fields();
+		this.make_customer_history();
+	}
+
+	make_customer_history() {
+		this.customer_history = new CustomerOrderHistory({
+			wrapper: this.wrapper.find('.customer-history'),
+			events: {
+				on_reorder: (items) => {
+					this.events.on_reorder(items);
+				}
+			}
+		});
 	}
 
 	make_dom() {
@@ -916,6 +2376,14 @@ class SalesOrderCart {
 			<div class="pos-cart">
 				<div class="customer-field">
 				</div>
+				<div class="customer-license">
+				</div>
+				<div class="customer-credit">
+				</div>
+				<div class="extension-panels">
+				</div>
+				<div class="customer-history">
+				</div>
 				<div class="cart-wrapper table-responsive">
 					<table class="table">
 					<thead></thead>
@@ -926,7 +2394,7 @@ class SalesOrderCart {
 											<thead>
 												<tr class="table-head">
 													<th width="25%">${__('Item Name')}</th>
-													<th width="25%">${__('Batch No.')}</th>
+													<th width="25%">${__('Warehouse / Batch')}</th>
 													<th>${__('Quantity')}</th>
 													<th>${__('Discount')}</th>
 													<th>${__('Rate')}</th>
@@ -965,7 +2433,9 @@ class SalesOrderCart {
 				</div>
 				<div class="row">
 					<div class="submit-order">
-						<div class="list-item__content text-muted"></div>
+						<div class="list-item__content text-muted">
+							<button class="order-secondary" type="button" data-action="park_order"> ${__('Park')} </button>
+						</div>
 						<div class="list-item__content list-item__content--flex-2">
 							<button class="order-primary" type="submit" data-action="submit_order"> Order </button>
 						</div>
@@ -981,6 +2451,8 @@ class SalesOrderCart {
 		this.$grand_total = this.wrapper.find('.grand-total');
 		this.$qty_total = this.wrapper.find('.quantity-total');
 		this.$submit_order = this.wrapper.find('.submit-order');
+		this.$license_status = this.wrapper.find('.customer-license');
+		this.$credit_status = this.wrapper.find('.customer-credit');
 
 		this.toggle_taxes_and_totals(false);
 		this.$grand_total.on('click', () => {
@@ -993,7 +2465,6 @@ class SalesOrderCart {
 		this.$empty_state.show();
 		this.$taxes_and_totals.html(this.get_taxes_and_totals());
 		this.customer_field.set_value("");
-		this.frm.msgbox = "";
 
 		let total_item_qty = 0.0;
 		// hiiremovethis  this.frm.set_value("pos_total_qty",total_item_qty);
@@ -1005,8 +2476,20 @@ class SalesOrderCart {
 			format_currency(this.frm.doc.rounded_total, this.frm.currency));
 		this.$qty_total.find(".quantity-total").text(total_item_qty);
 
-		const customer = this.frm.doc.customer;
+		const customer = this.frm.doc[get_party_fieldname(this.frm.doctype)];
 		this.customer_field.set_value(customer);
+		this.no_charge_field.set_value(this.frm.doc.no_charge_order);
+	}
+
+	set_mode(doctype) {
+		// quotations are priced proposals, so delivery scheduling and batches only apply to orders
+		const is_order = doctype === 'Sales Order';
+
+		[this.delivery_date_field, this.delivery_start_time_field, this.delivery_end_time_field]
+			.forEach(field => field.$wrapper.toggle(is_order));
+
+		this.$submit_order.find('[data-action="submit_order"]')
+			.text(is_order ? __('Order') : __('Save Quotation'));
 	}
 
 	get_grand_total() {
@@ -1073,18 +2556,16 @@ class SalesOrderCart {
 	}
 
 	update_taxes_and_totals() {
-		if (!this.frm.doc.taxes) { return; }
-
+		const { total, taxes } = this.store.state.cart;
 		const currency = this.frm.doc.currency;
-		this.frm.refresh_field('taxes');
 
 		// Update totals
 		this.$taxes_and_totals.find('.net-total')
-			.html(format_currency(this.frm.doc.total, currency));
+			.html(format_currency(total, currency));
 
 
 		// Update taxes
-		const taxes_html = this.frm.doc.taxes.map(tax => {
+		const taxes_html = taxes.map(tax => {
 			return `
 				<div>
 					<span>${tax.description}</span>
@@ -1098,23 +2579,136 @@ class SalesOrderCart {
 	}
 
 	update_grand_total() {
+		const { grand_total, rounded_total } = this.store.state.cart;
+
 		this.$grand_total.find('.grand-total-value').text(
-			format_currency(this.frm.doc.grand_total, this.frm.currency)
+			format_currency(grand_total, this.frm.currency)
 		);
 
 		this.$grand_total.find('.rounded-total-value').text(
-			format_currency(this.frm.doc.rounded_total, this.frm.currency)
+			format_currency(rounded_total, this.frm.currency)
 		);
 	}
 
 	update_qty_total() {
-		var total_item_qty = 0;
-		$.each(this.frm.doc["items"] || [], function (i, d) {
-				if (d.qty > 0) {
-					total_item_qty += d.qty;
-				}
+		this.$qty_total.find('.quantity-total').text(this.store.getters.total_qty);
+	}
+
+	set_order_details(order) {
+		return frappe.run_serially([
+			() => this.customer_field.set_value(order.customer || ""),
+			() => this.order_type_field.set_value(order.order_type || this.frm.doc.order_type),
+			() => this.no_charge_field.set_value(order.no_charge_order || 0),
+			() => this.delivery_date_field.set_value(order.delivery_date || ""),
+			() => this.delivery_start_time_field.set_value(order.delivery_start_time || ""),
+			() => this.delivery_end_time_field.set_value(order.delivery_end_time || "")
+		]);
+	}
+
+	load_license_status(customer) {
+		this.license_status = null;
+		this.$license_status.empty();
+
+		if (!customer) {
+			this.flag_restricted_items([]);
+			return Promise.resolve();
+		}
+
+		return frappe.call({
+			method: "bloomstack_core.hook_events.utils.get_license_status",
+			args: {
+				party_type: "Customer",
+				party: customer,
+				items: this.frm.doc.items.map(item => item.item_code)
+			}
+		}).then(r => {
+			// ignore responses for a customer that has since been changed
+			if (customer !== this.customer_field.get_value()) {
+				return;
+			}
+
+			this.license_status = r.message;
+			this.render_license_status();
+			this.flag_restricted_items(this.license_status.restricted_items);
+		});
+	}
+
+	render_license_status() {
+		const { license_number, license_type, license_expiry_date, status, message } = this.license_status;
+		const indicator = status === "Valid" ? "green" : "red";
+
+		const details = license_number ? [
+			license_number,
+			license_type,
+			license_expiry_date ? __("Expires {0}", [frappe.datetime.str_to_user(license_expiry_date)]) : null
+		].filter(Boolean).join(" &middot; ") : message;
+
+		this.$license_status.html(`
+			<span class="indicator ${indicator}">${__(status)}</span>
+			<span class="text-muted">${details}</span>
+		`);
+	}
+
+	load_credit_status(customer, order_total=0) {
+		this.credit_status = null;
+		this.$credit_status.empty();
+
+		if (!customer || !this.frm.doc.company) {
+			return Promise.resolve();
+		}
+
+		return frappe.call({
+			method: "bloomstack_core.bloomstack_core.page.order_desk.order_desk.get_customer_credit_status",
+			args: {
+				customer: customer,
+				company: this.frm.doc.company,
+				order_total: order_total
+			}
+		}).then(r => {
+			// ignore responses for a customer that has since been changed
+			if (customer !== this.customer_field.get_value()) {
+				return;
+			}
+
+			this.credit_status = r.message;
+			this.render_credit_status();
+		});
+	}
+
+	render_credit_status() {
+		const {
+			currency, credit_limit, outstanding, overdue_count, oldest_overdue_days, overdue_threshold_days
+		} = this.credit_status;
+
+		const over_limit = credit_limit && outstanding > credit_limit;
+		const past_threshold = overdue_count && oldest_overdue_days > overdue_threshold_days;
+
+		const details = [
+			__("Credit Limit: {0}", [credit_limit ? format_currency(credit_limit, currency) : __("None")]),
+			`<span class="${over_limit ? 'text-danger' : ''}">
+				${__("Outstanding: {0}", [format_currency(outstanding, currency)])}
+			</span>`,
+			`<span class="${past_threshold ? 'text-danger' : ''}">
+				${overdue_count ?
+					__("{0} overdue invoice(s), oldest {1} days", [overdue_count, oldest_overdue_days]) :
+					__("No overdue invoices")}
+			</span>`
+		].join(" &middot; ");
+
+		const indicator = over_limit || past_threshold ? "red" : (overdue_count ? "orange" : "green");
+
+		this.$credit_status.html(`
+			<span class="indicator ${indicator}">${__("Credit")}</span>
+			<span class="text-muted">${details}</span>
+		`);
+	}
+
+	flag_restricted_items(restricted_items) {
+		this.$cart_items.find('.item').each(function() {
+			const $item = $(this);
+			const is_restricted = restricted_items.includes(unescape($item.attr('data-item-code')));
+			$item.toggleClass('restricted-item', is_restricted);
 		});
-		this.$qty_total.find('.quantity-total').text(total_item_qty);
 	}
 
 	make_order_type_field() {
@@ -1135,6 +2729,22 @@ class SalesOrderCart {
 		this.order_type_field.set_value(this.frm.doc.order_type);
 	}
 
+	make_no_charge_field() {
+		this.no_charge_field = frappe.ui.form.make_control({
+			df: {
+				fieldtype: 'Check',
+				label: __('No Charge Order'),
+				fieldname: 'no_charge_order',
+				onchange: () => {
+					this.events.on_no_charge_change(this.no_charge_field.get_value());
+				}
+			},
+			parent: this.wrapper.find('.customer-field'),
+			render_input: true
+		});
+		this.no_charge_field.set_value(this.frm.doc.no_charge_order);
+	}
+
 	make_delivery_date_field() {
 		this.delivery_date_field = frappe.ui.form.make_control({
 			df: {
@@ -1154,6 +2764,84 @@ class SalesOrderCart {
 		if (this.frm.doc.delivery_date) {
 			this.delivery_date_field.set_value(this.frm.doc.delivery_date);
 		}
+
+		this.delivery_calendar = {};
+		this.setup_delivery_calendar();
+	}
+
+	setup_delivery_calendar() {
+		const datepicker = this.delivery_date_field.datepicker;
+		if (!datepicker) {
+			return;
+		}
+
+		datepicker.update({
+			onRenderCell: (date, cell_type) => {
+				if (cell_type !== 'day') {
+					return;
+				}
+
+				const delivery_day = this.delivery_calendar[frappe.datetime.obj_to_str(date)];
+				if (!delivery_day) {
+					return;
+				}
+
+				const capacity = delivery_day.remaining_capacity !== null ?
+					`<span class="delivery-day-capacity">${delivery_day.remaining_capacity}</span>` : '';
+
+				return {
+					classes: delivery_day.issues.length ? 'delivery-day-blocked' : 'delivery-day-allowed',
+					html: `${date.getDate()}${capacity}`
+				};
+			},
+			onChangeMonth: (month, year) => {
+				const from_date = frappe.datetime.obj_to_str(new Date(year, month, 1));
+				const to_date = frappe.datetime.obj_to_str(new Date(year, month + 1, 0));
+				this.load_delivery_calendar(from_date, to_date);
+			}
+		});
+	}
+
+	load_delivery_calendar(from_date, to_date) {
+		const customer = this.customer_field.get_value();
+		if (!customer) {
+			this.delivery_calendar = {};
+			return Promise.resolve();
+		}
+
+		return frappe.call({
+			method: "bloomstack_core.hook_events.delivery_trip.get_delivery_calendar",
+			args: {
+				customer,
+				from_date: from_date || frappe.datetime.get_today(),
+				to_date: to_date || frappe.datetime.add_months(frappe.datetime.get_today(), 2),
+				company: this.frm.doc.company
+			}
+		}).then(r => {
+			// the customer may have changed while the calendar was loading
+			if (customer !== this.customer_field.get_value()) {
+				return;
+			}
+
+			(r.message || []).forEach(delivery_day => {
+				this.delivery_calendar[delivery_day.date] = delivery_day;
+			});
+
+			const datepicker = this.delivery_date_field.datepicker;
+			if (datepicker) {
+				// re-render the visible month with the new data
+				datepicker.update({});
+			}
+		});
+	}
+
+	get_delivery_day(delivery_date) {
+		if (this.delivery_calendar[delivery_date]) {
+			return Promise.resolve(this.delivery_calendar[delivery_date]);
+		}
+
+		return this.load_delivery_calendar(delivery_date, delivery_date)
+			.then(() => this.delivery_calendar[delivery_date]);
 	}
 
 	make_delivery_window_fields() {
@@ -1201,6 +2889,14 @@ class SalesOrderCart {
 				},
 				onchange: () => {
 					this.events.on_customer_change(this.customer_field.get_value());
+					if (this.customer_history) {
+						this.customer_history.load(this.customer_field.get_value());
+					}
+
+					this.delivery_calendar = {};
+					this.load_delivery_calendar();
+					this.load_license_status(this.customer_field.get_value());
+					this.load_credit_status(this.customer_field.get_value());
 					if (this.delivery_start_time_field) {
 						this.delivery_start_time_field.set_value(this.frm.doc.delivery_start_time);
 					}
@@ -1213,90 +2909,32 @@ class SalesOrderCart {
 			parent: this.wrapper.find('.customer-field'),
 			render_input: true
 		});
-		this.customer_field.set_value(this.frm.doc.customer);
+		this.customer_field.set_value(this.frm.doc[get_party_fieldname(this.frm.doctype)]);
 	}
 
 	add_item(item) {
-		this.$empty_state.hide();
-		if (this.exists(item.item_code, item.batch_no)) {
-			// update quantity
-			this.update_item(item);
-		} else if (flt(item.qty) > 0.0) {
-			// add to cart
-			const $item = $(this.get_item_html(item));
-			$item.appendTo(this.$cart_items);
-		}
-		this.highlight_item(item.item_code);
-	}
-
-	update_item(item) {
-		const item_selector = item.batch_no ?
-			`[data-batch-no="${item.batch_no}"]` : `[data-item-code="${escape(item.item_code)}"]`;
-
-		const $item = this.$cart_items.find(item_selector);
-
-		if(item.qty > 0) {
-			const is_stock_item = this.get_item_details(item.item_code).is_stock_item;
-			const saleable_qty = this.get_item_details(item.item_code).saleable_qty;
-			const indicator_class = (!is_stock_item || saleable_qty >= item.qty) ? 'green' : 'red';
-			const remove_class = indicator_class == 'green' ? 'red' : 'green';
-			$item.find('.quantity input').val(item.qty);
-			$item.find('.discount').text(item.discount_percentage + '%');
-			$item.find('.rate input').val(item.rate);
-			$item.children('.item').addClass(indicator_class);
-			$item.children('.item').removeClass(remove_class);
-		} else {
-			$item.remove();
+		const $item = $(this.get_item_html(item));
+		$item.appendTo(this.$cart_items);
+		if (this.license_status) {
+			$item.toggleClass('restricted-item', this.license_status.restricted_items.includes(item.item_code));
 		}
 	}
 
 	get_item_html(item) {
 		const is_stock_item = this.get_item_details(item.item_code).is_stock_item;
-		const saleable_qty = this.get_item_details(item.item_code).saleable_qty;
+		const saleable_qty = this.get_saleable_qty(item);
 		const indicator_class = (!is_stock_item || saleable_qty >= item.qty) ? 'green' : 'red';
 		const batch_no = item.batch_no || '';
-
-		const me = this;
-		$(document).on('click', `.action a[data-name="${item.item_name}"]`, function (event) {
-			event.stopImmediatePropagation(); // to prevent firing of multiple events
-			let item_name = $(this).data('name');
-			let item_code = $(this).data('item-code');
-			let total_quantity;
-			frappe.confirm(__(`Are you sure you want to remove ${item_name} from the order?`),
-				 () => {
-					me.events.on_field_change(item_code, 'qty', 0);
-					me.update_qty_total();
-					setTimeout( () => {
-						total_quantity = me.$qty_total.find('.quantity-total').text();
-						if(total_quantity == 0) {
-							me.wrapper.find('.cart-items .empty-state').show();
-						}
-					}, 100)
-				}
-				);
-
-
-		})
-
-		$(document).on('click', '.list-item div', function (event) {
-			event.stopImmediatePropagation(); // to prevent firing of multiple events
-			let item_code = $(this).data('item-code');
-			if (item_code) {
-				const item_data = me.frm.doc.items.find(item => item.item_code === item_code)
-				const show_dialog = item_data.has_batch_no;
-				if (show_dialog) {
-					me.events.update_batched_item(item_data)
-				}
-			}
-		})
+		const is_order = this.frm.doctype === 'Sales Order';
 
 		return `
-			<tr class="item" data-item-code="${escape(item.item_code)}" data-batch-no="${batch_no}" title="Item: ${item.item_name} || Available Qty: ${saleable_qty || 0} ${item.stock_uom}">
+			<tr class="item" data-name="${item.name}" data-item-code="${escape(item.item_code)}" data-batch-no="${batch_no}" title="Item: ${item.item_name} || Available Qty: ${saleable_qty || 0} ${item.stock_uom}">
 				<td width: 50px class="item-name ellipsis indicator ${indicator_class}" data-item-code="${item.item_code}">
 					${item.item_name}
 				</td>
 				<td class="batch text-center" data-item-code="${item.item_code}">
-					${item.batch_no || "-"}
+					${this.get_warehouse_html(item)}
+					${get_batch_html(item)}
 				</td>
 				<td class="quantity" data-item-code="${item.item_code}">
 					${get_quantity_html(item.qty)}
@@ -1308,7 +2946,7 @@ class SalesOrderCart {
 					${get_rate_html(item.rate)}
 				</td>
 				<td width: 10px class="action action_button" data-item-code="${item.item_code}">
-					<a class="btn btn-danger btn-xs" title="Delete" data-name="${item.item_name}" data-item-code="${item.item_code}">X</a>
+					<a class="btn btn-danger btn-xs" title="Delete" data-action="remove_line">X</a>
 				</td>
 			</tr>
 		`;
@@ -1321,6 +2959,16 @@ class SalesOrderCart {
 			`;
 		};
 
+		function get_batch_html(item) {
+			if (!item.has_batch_no || !is_order) {
+				return "-";
+			}
+
+			return item.batch_no ?
+				`<a data-action="pick_batch">${item.batch_no}</a>` :
+				`<a class="text-warning" data-action="pick_batch">${__('Select Batch')}</a>`;
+		}
+
 		function get_rate_html(rate){
 			return `
 			<div class="input-group input-group-xs">
@@ -1329,21 +2977,136 @@ class SalesOrderCart {
 		}
 	}
 
-	get_item_details(item_code) {
-		if (!this.item_data[item_code]) {
-			this.item_data[item_code] = this.events.get_item_details(item_code);
+	get_saleable_qty(item) {
+		// lines can be fulfilled from any warehouse, not just the item's default one
+		const item_details = this.get_item_details(item.item_code);
+		const stock = (item_details.warehouses || []).find(d => d.warehouse === item.warehouse);
+		return stock ? stock.saleable_qty : item_details.saleable_qty;
+	}
+
+	get_warehouse_html(item) {
+		// offer every warehouse holding or expecting the item, so the line can be fulfilled from any of them
+		const stock = this.get_item_details(item.item_code).warehouses || [];
+		const warehouses = stock.map(d => d.warehouse);
+		if (item.warehouse && !warehouses.includes(item.warehouse)) {
+			warehouses.unshift(item.warehouse);
 		}
 
-		return this.item_data[item_code];
+		if (warehouses.length < 2) {
+			return item.warehouse ? `<div class="line-warehouse text-muted ellipsis">${item.warehouse}</div>` : '';
+		}
+
+		const options = warehouses.map(warehouse => {
+			const warehouse_stock = stock.find(d => d.warehouse === warehouse);
+			const saleable_qty = warehouse_stock ? warehouse_stock.saleable_qty : 0;
+
+			return `<option value="${warehouse}" ${warehouse === item.warehouse ? 'selected' : ''}>
+				${warehouse} (${saleable_qty})
+			</option>`;
+		}).join("");
+
+		return `<select class="form-control input-xs line-warehouse" data-action="select_warehouse">${options}</select>`;
+	}
+
+	render_items(items) {
+		// the cart is redrawn from the store, so keep the selected line selected
+		const selected_name = this.selected_item && this.selected_item.attr('data-name');
+
+		this.$cart_items.find('.item, .batch-picker-row').remove();
+		this.$empty_state.toggle(!items.length);
+		items.forEach(item => this.add_item(item));
+
+		const $selected_item = this.$cart_items.find(`.item[data-name="${selected_name}"]`);
+		this.selected_item = $selected_item.length ? $selected_item.addClass('current-item') : null;
+	}
+
+	get_row_item(name) {
+		return this.store.getters.get_line(name);
 	}
 
-	exists(item_code, batch_no) {
-		const is_exists = batch_no ?
-			`[data-batch-no="${batch_no}"]` : `[data-item-code="${escape(item_code)}"]`;
+	toggle_batch_picker($row) {
+		const name = $row.attr('data-name');
+		const $existing = this.$cart_items.find(`.batch-picker-row[data-name="${name}"]`);
+
+		this.$cart_items.find('.batch-picker-row').remove();
+		if ($existing.length) {
+			return;
+		}
+
+		const item = this.get_row_item(name);
+		if (!item) {
+			return;
+		}
+
+		this.events.get_item_batches(item)
+			.then(batches => {
+				this.batch_allocations = erpnext.pos.order_desk.cart.get_fefo_allocations(batches, item.qty);
+				$row.after(this.get_batch_picker_html(item, batches));
+			});
+	}
+
+	get_batch_picker_html(item, batches) {
+		const selected_batch = batches.find(batch => batch.batch_no === item.batch_no);
+		const is_short = !selected_batch || flt(selected_batch.qty) < flt(item.qty);
+		const show_split = is_short && this.batch_allocations.length > 1;
+
+		const batch_rows = batches.map(batch => {
+			const is_selected = batch.batch_no === item.batch_no;
+			const action = batch.is_expired ?
+				`<span class="indicator red">${__('Expired')}</span>` :
+				`<button class="btn btn-default btn-xs" data-action="select_batch" data-batch-no="${batch.batch_no}"
+					${is_selected ? 'disabled' : ''}>${is_selected ? __('Selected') : __('Select')}</button>`;
+
+			return `
+				<tr class="${batch.is_expired ? 'text-muted' : ''}">
+					<td>${batch.batch_no}</td>
+					<td>${batch.package_tag || '-'}</td>
+					<td>${batch.expiry_date ? frappe.datetime.str_to_user(batch.expiry_date) : '-'}</td>
+					<td class="text-right">${batch.qty}</td>
+					<td class="text-right">${action}</td>
+				</tr>
+			`;
+		}).join("");
+
+		const split_html = show_split ? `
+			<div class="batch-split-suggestion">
+				<span class="text-muted">
+					${__('Suggested split')}:
+					${this.batch_allocations.map(allocation => `${allocation.batch_no} &times; ${allocation.qty}`).join(", ")}
+				</span>
+				<button class="btn btn-primary btn-xs" data-action="split_batches">${__('Apply Split')}</button>
+			</div>
+		` : '';
+
+		return `
+			<tr class="batch-picker-row" data-name="${item.name}">
+				<td colspan="6">
+					<table class="table table-condensed batch-picker">
+						<thead>
+							<tr>
+								<th>${__('Batch')}</th>
+								<th>${__('Package Tag')}</th>
+								<th>${__('Expires On')}</th>
+								<th class="text-right">${__('Available Qty')}</th>
+								<th></th>
+							</tr>
+						</thead>
+						<tbody>
+							${batch_rows || `<tr><td colspan="5" class="text-muted">${__('No batches in stock')}</td></tr>`}
+						</tbody>
+					</table>
+					${split_html}
+				</td>
+			</tr>
+		`;
+	}
 
-		let $item = this.$cart_items.find(is_exists);
+	get_item_details(item_code) {
+		if (!this.item_data[item_code]) {
+			this.item_data[item_code] = this.events.get_item_details(item_code);
+		}
 
-		return $item.length > 0;
+		return this.item_data[item_code];
 	}
 
 	highlight_item(item_code) {
@@ -1352,6 +3115,11 @@ class SalesOrderCart {
 		setTimeout(() => $item.removeClass('highlight'), 1000);
 	}
 
+	show_item(item_code) {
+		this.highlight_item(item_code);
+		this.scroll_to_item(item_code);
+	}
+
 	scroll_to_item(item_code) {
 		const $item = this.$cart_items.find(`[data-item-code="${escape(item_code)}"]`);
 		if ($item.length === 0) return;
@@ -1367,47 +3135,56 @@ class SalesOrderCart {
 		this.$cart_items.on('click',
 			'[data-action="increment"], [data-action="decrement"]', function() {
 				const $btn = $(this);
-				const $item = $btn.closest('.item[data-item-code]');
-				const item_code = unescape($item.attr('data-item-code'));
+				const name = $btn.closest('.item[data-name]').attr('data-name');
 				const action = $btn.attr('data-action');
 
 				if(action === 'increment') {
-					events.on_field_change(item_code, 'qty', '+1');
+					events.on_line_change(name, 'qty', '+1');
 				} else if(action === 'decrement') {
-					events.on_field_change(item_code, 'qty', '-1');
+					events.on_line_change(name, 'qty', '-1');
 				}
 			});
 
 		this.$cart_items.on('click',
 			'[data-action="increment_rate"], [data-action="decrement_rate"]', function() {
 				const $btn = $(this);
-				const $item = $btn.closest('.item[data-item-code]');
-				const item_code = unescape($item.data('item-code'));
+				const name = $btn.closest('.item[data-name]').attr('data-name');
 				const action = $btn.data('action');
 
 				if (action === 'increment_rate') {
-					events.on_field_change(item_code, 'rate', '+1');
+					events.on_line_change(name, 'rate', '+1');
 				} else if (action === 'decrement_rate') {
-					events.on_field_change(item_code, 'rate', '-1');
+					events.on_line_change(name, 'rate', '-1');
 				}
 			});
 
 		this.$cart_items.on('change', '.quantity input', function() {
 			const $input = $(this);
-			const $item = $input.closest('.item[data-item-code]');
-			const item_code = unescape($item.attr('data-item-code'));
-			events.on_field_change(item_code, 'qty', flt($input.val()));
+			const name = $input.closest('.item[data-name]').attr('data-name');
+			events.on_line_change(name, 'qty', flt($input.val()));
+		});
+
+		this.$cart_items.on('click', '[data-action="remove_line"]', function(event) {
+			event.stopPropagation();
+			const line = me.get_row_item($(this).closest('.item').attr('data-name'));
+			if (line) {
+				frappe.confirm(__("Are you sure you want to remove {0} from the order?", [line.item_name.bold()]),
+					() => events.on_remove_line(line.name));
+			}
 		});
 
 		this.$submit_order.on('click', '[data-action="submit_order"]',() => {
 			events.submit_order()
 		})
 
+		this.$submit_order.on('click', '[data-action="park_order"]', () => {
+			events.park_order();
+		});
+
 		this.$cart_items.on('change', '.rate input', function() {
 			const $input = $(this);
-			const $item = $input.closest('.item[data-item-code]');
-			const item_code = unescape($item.data('item-code'));
-			events.on_field_change(item_code, 'rate', flt($input.val()));
+			const name = $input.closest('.item[data-name]').attr('data-name');
+			events.on_line_change(name, 'rate', flt($input.val()));
 		});
 
 		// current item
@@ -1415,30 +3192,48 @@ class SalesOrderCart {
 			me.set_selected_item($(this));
 		});
 
+		this.$cart_items.on('click', '[data-action="select_warehouse"]', function(event) {
+			// keep the row selection from stealing the dropdown
+			event.stopPropagation();
+		});
+
+		this.$cart_items.on('change', '[data-action="select_warehouse"]', function() {
+			const item = me.get_row_item($(this).closest('.item').attr('data-name'));
+			if (item) {
+				me.events.on_warehouse_change(item, $(this).val());
+			}
+		});
+
+		this.$cart_items.on('click', '[data-action="pick_batch"]', function(event) {
+			event.stopPropagation();
+			me.toggle_batch_picker($(this).closest('.item'));
+		});
+
+		this.$cart_items.on('click', '.batch-picker-row [data-action="select_batch"]', function() {
+			const $picker = $(this).closest('.batch-picker-row');
+			const item = me.get_row_item($picker.attr('data-name'));
+			if (item) {
+				me.events.on_batch_select(item, [{ batch_no: $(this).attr('data-batch-no'), qty: item.qty }]);
+			}
+		});
+
+		this.$cart_items.on('click', '.batch-picker-row [data-action="split_batches"]', function() {
+			const $picker = $(this).closest('.batch-picker-row');
+			const item = me.get_row_item($picker.attr('data-name'));
+			if (item && me.batch_allocations) {
+				me.events.on_batch_select(item, me.batch_allocations);
+			}
+		});
+
 		this.wrapper.find('.additional_discount_percentage').on('change', (e) => {
 			const discount_percentage = flt(e.target.value,
 				precision("additional_discount_percentage"));
-
-			frappe.model.set_value(this.frm.doctype, this.frm.docname,
-				'additional_discount_percentage', discount_percentage)
-				.then(() => {
-					let discount_wrapper = this.wrapper.find('.discount_amount');
-					discount_wrapper.val(flt(this.frm.doc.discount_amount,
-						precision('discount_amount')));
-					discount_wrapper.trigger('change');
-				});
+			events.on_discount_change(discount_percentage);
 		});
 
 		this.wrapper.find('.discount_amount').on('change', (e) => {
 			const discount_amount = flt(e.target.value, precision('discount_amount'));
-			frappe.model.set_value(this.frm.doctype, this.frm.docname,
-				'discount_amount', discount_amount);
-			this.frm.trigger('discount_amount')
-				.then(() => {
-					this.update_discount_fields();
-					this.update_taxes_and_totals();
-					this.update_grand_total();
-				});
+			events.on_discount_amount_change(discount_amount);
 		});
 	}
 
@@ -1451,6 +3246,45 @@ class SalesOrderCart {
 			precision('discount_amount')));
 	}
 
+	select_adjacent_item(offset) {
+		const $items = this.$cart_items.find('.item');
+		if (!$items.length) {
+			return;
+		}
+
+		const index = this.selected_item ? $items.index(this.selected_item) : -1;
+		const next_index = Math.min(Math.max(index + offset, 0), $items.length - 1);
+		const $item = $items.eq(next_index);
+
+		this.set_selected_item($item);
+		this.scroll_to_item(unescape($item.attr('data-item-code')));
+	}
+
+	change_selected_qty(value) {
+		if (!this.selected_item) {
+			this.select_adjacent_item(1);
+		}
+
+		if (this.selected_item) {
+			this.events.on_line_change(this.selected_item.attr('data-name'), 'qty', value);
+		}
+	}
+
+	focus_selected_field(field) {
+		if (!this.selected_item) {
+			this.select_adjacent_item(1);
+		}
+
+		if (this.selected_item) {
+			this.selected_item.find(`.${field} input`).focus().select();
+		}
+	}
+
+	focus_discount() {
+		this.toggle_taxes_and_totals(true);
+		this.wrapper.find('.additional_discount_percentage').focus().select();
+	}
+
 	set_selected_item($item) {
 		this.selected_item = $item;
 		this.$cart_items.find('.item').removeClass('current-item qty disc rate');
@@ -1464,3 +3298,19 @@ class SalesOrderCart {
 		this.events.on_select_change();
 	}
 }
+
+function get_party_fieldname(doctype) {
+	// quotations can also be addressed to leads, so their customer lives in party_name
+	return doctype === 'Quotation' ? 'party_name' : 'customer';
+}
+
+function get_cart_line(item) {
+	// the Sales Order Item fields the cart store keeps for each line
+	const line = {};
+	['name', 'item_code', 'item_name', 'stock_uom', 'warehouse', 'batch_no', 'serial_no', 'qty',
+		'rate', 'price_list_rate', 'discount_percentage', 'has_batch_no', 'has_serial_no'].forEach(field => {
+		line[field] = item[field];
+	});
+
+	return line;
+}
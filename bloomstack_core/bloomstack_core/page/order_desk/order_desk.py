@@ -4,8 +4,25 @@
 from __future__ import unicode_literals
 import json
 import frappe
-from frappe.utils import nowdate
+from frappe import _
+from frappe.core.doctype.communication.email import make as make_communication
+from erpnext.selling.doctype.customer.customer import get_credit_limit, get_customer_outstanding
+from frappe.email.doctype.email_template.email_template import get_email_template
+from frappe.utils import cint, cstr, date_diff, flt, fmt_money, getdate, nowdate
 from frappe.utils.nestedset import get_root_of
+from six import string_types
+
+from bloomstack_core.hook_events.sales_order import (get_or_create_delivery_note,
+	get_or_create_pick_list, get_or_create_sales_invoice)
+from bloomstack_core.hook_events.utils import get_license_issues
+
+
+ITEMS_CACHE_KEY = "order_desk_items"
+# cached catalog pages are dropped after an hour, so prices that start or end on a date show up
+ITEMS_CACHE_EXPIRY = 60 * 60
+
+# used when the overdue threshold hasn't been set in Order Desk Settings
+DEFAULT_OVERDUE_THRESHOLD_DAYS = 30
 
 
 @frappe.whitelist()
@@ -23,76 +40,35 @@ def get_items(start, page_length, price_list, item_group, search_value=""	):
 	batch_no = data.get("batch_no") if data.get("batch_no") else ""
 	barcode = data.get("barcode") if data.get("barcode") else ""
 
-	condition = get_conditions(item_code, serial_no, batch_no, barcode)
+	# only browsed catalog pages are cached; searches and scans always hit the database
+	cache_key = None
+	if not search_value:
+		cache_key = "{0}:{1}:{2}:{3}".format(price_list, item_group, cint(start), cint(page_length))
 
-	lft, rgt = frappe.db.get_value('Item Group', item_group, ['lft', 'rgt'])
-	# locate function is used to sort by closest match from the beginning of the value
+	items_data = frappe.cache().hget(ITEMS_CACHE_KEY, cache_key) if cache_key else None
+	if items_data is None:
+		items_data = get_catalog_items(start, page_length, price_list, item_group,
+			get_conditions(item_code, serial_no, batch_no, barcode))
 
+		if cache_key:
+			cache_items(cache_key, items_data)
 
-	result = []
+	# stock levels change constantly, so they're always read live
+	stock = get_stock_levels(items_data)
 
-	items_data = frappe.db.sql(""" SELECT
-			item.name as item_code,
-			item.stock_uom as stock_uom,
-			item.item_name as item_name,
-			item.image as item_image,
-			item.idx as idx,
-			item.is_stock_item as is_stock_item,
-			item.item_group as item_group,
-			item.has_batch_no as has_batch_no
-		FROM
-			`tabItem` item
-		WHERE
-			disabled = 0 and has_variants = 0 and is_sales_item = 1
-			and item_group in (select name from `tabItem Group` where lft >= {lft} and rgt <= {rgt})
-			and {condition} order by idx desc limit {start}, {page_length}"""
-		.format(
-			start=start, page_length=page_length,
-			lft=lft, rgt=rgt,
-			condition=condition
-		), as_dict=1)
+	result = []
+	for item in items_data:
+		warehouses = stock.get(item.get("item_code"), [])
+		default_stock = next((d for d in warehouses if d.warehouse == item.get("default_warehouse")), {})
 
-	if items_data:
-		items = [d.item_code for d in items_data]
-		item_prices_data = frappe.get_all("Item Price",
-			fields=["item_code", "price_list_rate", "currency"],
-			filters={'price_list': price_list, 'item_code': ['in', items]})
-
-		item_warehouse_list = frappe.get_all("Item Default",
-			fields=["parent", "default_warehouse"],
-			filters={'parent': ['in', items]})
-
-		warehouses = {}
-		for warehouse in item_warehouse_list:
-			warehouses[warehouse.parent] = warehouse.default_warehouse
-
-		item_prices = {}
-		for d in item_prices_data:
-			item_prices[d.item_code] = d
-
-		# update below get stock from Bin with a group query & joins to optimize performance.
-		for item in items_data:
-			item_quantities = frappe.get_all('Bin',
-				filters={'item_code': item.item_code,
-					'warehouse': warehouses.get(item.item_code)},
-				fields=['sum(actual_qty) as actual_qty',
-					'sum(reserved_qty) as reserved_qty'])
-
-			item_qty = item_quantities[0]
-			actual_qty = item_qty.get("actual_qty") or 0
-			reserved_qty = item_qty.get("reserved_qty") or 0
-
-			row = item.copy()
-			item_price = item_prices.get(item.item_code) or {}
-			row.update({
-				'price_list_rate': item_price.get('price_list_rate'),
-				'currency': item_price.get('currency'),
-				'default_warehouse': warehouses.get(item.item_code),
-				'actual_qty': actual_qty,
-				'reserved_qty': reserved_qty,
-				'saleable_qty': actual_qty - reserved_qty
-			})
-			result.append(row)
+		row = frappe._dict(item)
+		row.update({
+			'actual_qty': default_stock.get("actual_qty", 0),
+			'reserved_qty': default_stock.get("reserved_qty", 0),
+			'saleable_qty': default_stock.get("saleable_qty", 0),
+			'warehouses': warehouses
+		})
+		result.append(row)
 
 	res = {
 		'items': result
@@ -115,6 +91,176 @@ def get_items(start, page_length, price_list, item_group, search_value=""	):
 
 	return res
 
+def get_catalog_items(start, page_length, price_list, item_group, condition):
+	"""
+		Return a page of saleable items along with their prices and default warehouses.
+		Each item gets the price in effect today that isn't for a particular customer,
+		preferring the one that took effect most recently.
+	"""
+
+	lft, rgt = frappe.db.get_value('Item Group', item_group, ['lft', 'rgt'])
+
+	items_data = frappe.db.sql(""" SELECT
+			item.name as item_code,
+			item.stock_uom as stock_uom,
+			item.item_name as item_name,
+			item.image as item_image,
+			item.idx as idx,
+			item.is_stock_item as is_stock_item,
+			item.item_group as item_group,
+			item.has_batch_no as has_batch_no,
+			item_price.price_list_rate as price_list_rate,
+			item_price.currency as currency
+		FROM
+			`tabItem` item
+				LEFT JOIN `tabItem Price` item_price
+					ON item_price.name = ({item_price})
+		WHERE
+			item.disabled = 0 and item.has_variants = 0 and item.is_sales_item = 1
+			and item.item_group in (select name from `tabItem Group` where lft >= {lft} and rgt <= {rgt})
+			and {condition}
+		ORDER BY item.idx desc
+		LIMIT {start}, {page_length}"""
+		.format(
+			start=cint(start), page_length=cint(page_length),
+			lft=lft, rgt=rgt,
+			item_price=get_item_price_query("item.name", price_list),
+			condition=condition
+		), as_dict=1)
+
+	if not items_data:
+		return []
+
+	item_warehouse_list = frappe.get_all("Item Default",
+		fields=["parent", "default_warehouse"],
+		filters={'parent': ['in', [d.item_code for d in items_data]]})
+
+	warehouses = {}
+	for warehouse in item_warehouse_list:
+		warehouses[warehouse.parent] = warehouse.default_warehouse
+
+	for item in items_data:
+		item["default_warehouse"] = warehouses.get(item.item_code)
+
+	return items_data
+
+def get_item_price_query(item_code, price_list, customer=None):
+	"""
+		Return a subquery for the name of an item's price in effect today. A price
+		for the customer wins over a general one, then the one that took effect
+		most recently. `item_code` is an SQL expression, like a column or an escaped value.
+	"""
+
+	return """
+		SELECT price.name
+		FROM `tabItem Price` price
+		WHERE
+			price.item_code = {item_code} and price.price_list = {price_list}
+			and ifnull(price.customer, '') in ('', {customer})
+			and ifnull(price.valid_from, '2000-01-01') <= {today}
+			and ifnull(price.valid_upto, '2500-12-31') >= {today}
+		ORDER BY ifnull(price.customer, '') = '', price.valid_from desc, price.modified desc
+		LIMIT 1""".format(
+			item_code=item_code,
+			price_list=frappe.db.escape(price_list or ""),
+			customer=frappe.db.escape(customer or ""),
+			today=frappe.db.escape(nowdate()))
+
+def get_stock_levels(items_data):
+	"""
+		Fetch the per-warehouse stock of a page of items in a single query.
+		Incoming stock is what's still pending on open Purchase Orders (ordered qty)
+		and Work Orders (planned qty).
+	"""
+
+	items = list(set(item.get("item_code") for item in items_data))
+	if not items:
+		return {}
+
+	bins = frappe.db.sql("""
+		SELECT
+			item_code,
+			warehouse,
+			sum(actual_qty) as actual_qty,
+			sum(reserved_qty) as reserved_qty,
+			sum(ordered_qty) as ordered_qty,
+			sum(planned_qty) as planned_qty
+		FROM
+			`tabBin`
+		WHERE
+			item_code in %(items)s
+		GROUP BY
+			item_code, warehouse
+		HAVING
+			actual_qty != 0 or reserved_qty != 0 or ordered_qty != 0 or planned_qty != 0
+		ORDER BY
+			warehouse
+	""", {"items": items}, as_dict=1)
+
+	stock = {}
+	for d in bins:
+		stock.setdefault(d.item_code, []).append(frappe._dict({
+			"warehouse": d.warehouse,
+			"actual_qty": flt(d.actual_qty),
+			"reserved_qty": flt(d.reserved_qty),
+			"saleable_qty": flt(d.actual_qty) - flt(d.reserved_qty),
+			"ordered_qty": flt(d.ordered_qty),
+			"planned_qty": flt(d.planned_qty)
+		}))
+
+	return stock
+
+def cache_items(cache_key, items_data):
+	"""cache a catalog page, expiring the whole catalog an hour after its first page was cached"""
+
+	cache = frappe.cache()
+	cache.hset(ITEMS_CACHE_KEY, cache_key, items_data)
+
+	# the expiry is only set once, so caching more pages doesn't keep putting it off
+	key = cache.make_key(ITEMS_CACHE_KEY)
+	if cache.ttl(key) < 0:
+		cache.expire(key, ITEMS_CACHE_EXPIRY)
+
+def clear_items_cache(doc=None, method=None):
+	"""drop cached Order Desk catalog pages when items or their prices change"""
+
+	frappe.cache().delete_key(ITEMS_CACHE_KEY)
+
+@frappe.whitelist()
+def get_item_batches(item_code, warehouse=None):
+	"""return an item's batches with stock, first-expiring first"""
+
+	conditions = ""
+	if warehouse:
+		conditions = "AND sle.warehouse = %(warehouse)s"
+
+	batches = frappe.db.sql("""
+		SELECT
+			sle.batch_no,
+			sum(sle.actual_qty) as qty,
+			batch.expiry_date,
+			batch.package_tag
+		FROM
+			`tabStock Ledger Entry` sle
+				INNER JOIN `tabBatch` batch ON batch.name = sle.batch_no
+		WHERE
+			sle.item_code = %(item_code)s
+			AND batch.disabled = 0
+			{conditions}
+		GROUP BY
+			sle.batch_no
+		HAVING
+			qty > 0
+		ORDER BY
+			batch.expiry_date IS NULL, batch.expiry_date ASC, batch.creation ASC
+	""".format(conditions=conditions), {"item_code": item_code, "warehouse": warehouse}, as_dict=1)
+
+	today = getdate(nowdate())
+	for batch in batches:
+		batch["is_expired"] = bool(batch.expiry_date and getdate(batch.expiry_date) < today)
+
+	return batches
+
 @frappe.whitelist()
 def search_serial_or_batch_or_barcode_number(search_value):
 	# search barcode no
@@ -129,21 +275,370 @@ def search_serial_or_batch_or_barcode_number(search_value):
 	if serial_no:
 		return serial_no[0]
 
-	# search batch no
-	batch_no = frappe.get_all('Batch',
-		{"name": search_value, "batch_qty": [">", 0], "disabled": 0, "expiry_date": ["<=", nowdate()]},
-		['name as batch_no', 'item as item_code'])
+	# search batch no, or the METRC package tag printed on the batch
+	batch_no = frappe.db.sql("""
+		SELECT
+			name as batch_no,
+			item as item_code
+		FROM
+			`tabBatch`
+		WHERE
+			(name = %(search_value)s OR package_tag = %(search_value)s)
+			AND batch_qty > 0
+			AND disabled = 0
+			AND (expiry_date IS NULL OR expiry_date >= %(today)s)
+		LIMIT 1
+	""", {"search_value": search_value, "today": nowdate()}, as_dict=1)
 	if batch_no:
 		return batch_no[0]
 
 	return {}
 
+@frappe.whitelist()
+def sync_offline_orders(orders):
+	"""create Sales Orders that were queued while Order Desk was offline"""
+
+	orders = json.loads(orders)
+	return [sync_offline_order(order) for order in orders]
+
+def sync_offline_order(order):
+	offline_id = order.get("offline_id")
+	result = {
+		"offline_id": offline_id,
+		"customer": order.get("doc", {}).get("customer"),
+		"messages": []
+	}
+
+	# the order may have been synced before the client could clear its queue
+	sales_order = frappe.db.get_value("Sales Order", {"order_desk_offline_id": offline_id})
+	if sales_order:
+		result.update({"status": "Synced", "sales_order": sales_order})
+		return result
+
+	doc = prepare_offline_order(order.get("doc"), offline_id)
+	conflicts = get_offline_order_conflicts(doc)
+
+	# the compliance gate is skipped while offline, so enforce it before creating the order
+	license_issues = get_license_issues(doc)
+	if license_issues:
+		result.update({
+			"status": "Failed",
+			"messages": conflicts + license_issues
+		})
+		return result
+
+	# so is the credit check; warnings are reported back as conflicts
+	credit_status = get_customer_credit_status(doc.get("customer"), doc.get("company"), doc.get("grand_total"))
+	if credit_status.get("issues"):
+		if credit_status.get("action") == "Block":
+			result.update({
+				"status": "Failed",
+				"messages": conflicts + credit_status.get("issues")
+			})
+			return result
+
+		conflicts.extend(credit_status.get("issues"))
+
+	try:
+		sales_order = frappe.get_doc(doc).insert()
+		frappe.db.commit()
+	except Exception as e:
+		frappe.db.rollback()
+		result.update({
+			"status": "Failed",
+			"messages": conflicts + [cstr(e) or _("The Sales Order could not be created")]
+		})
+		return result
+
+	result.update({
+		"status": "Conflict" if conflicts else "Synced",
+		"sales_order": sales_order.name,
+		"messages": conflicts
+	})
+	return result
+
+def prepare_offline_order(doc, offline_id):
+	"""strip the client-side names from a queued order so it can be inserted as a new document"""
+
+	local_fields = ("name", "parent", "docstatus", "__islocal", "__unsaved", "__last_sync_on")
+
+	doc = {key: value for key, value in doc.items() if key not in local_fields}
+	doc.update({
+		"doctype": "Sales Order",
+		"order_desk_offline_id": offline_id
+	})
+
+	doc["items"] = [{key: value for key, value in item.items() if key not in local_fields}
+		for item in doc.get("items", [])]
+	doc["taxes"] = [{key: value for key, value in tax.items() if key not in local_fields}
+		for tax in doc.get("taxes", [])]
+
+	return doc
+
+def get_offline_order_conflicts(doc):
+	"""compare a queued order against the current prices and stock levels"""
+
+	conflicts = []
+	for idx, item in enumerate(doc.get("items", []), start=1):
+		# the price the order would get today, the same way the catalog picks it
+		item_price = frappe.db.sql("""SELECT price_list_rate FROM `tabItem Price` WHERE name = ({0})""".format(
+			get_item_price_query(frappe.db.escape(item.get("item_code") or ""), doc.get("selling_price_list"),
+				doc.get("customer"))))
+		item_price = item_price[0][0] if item_price else None
+
+		if item_price is not None and flt(item_price) != flt(item.get("price_list_rate")):
+			conflicts.append(_("Row #{0}: The price of {1} changed from {2} to {3}").format(
+				idx, frappe.bold(item.get("item_code")), flt(item.get("price_list_rate")), flt(item_price)))
+
+		if not (item.get("warehouse") and frappe.db.get_value("Item", item.get("item_code"), "is_stock_item")):
+			continue
+
+		actual_qty, reserved_qty = frappe.db.get_value("Bin",
+			{"item_code": item.get("item_code"), "warehouse": item.get("warehouse")},
+			["actual_qty", "reserved_qty"]) or (0, 0)
+		saleable_qty = flt(actual_qty) - flt(reserved_qty)
+
+		if saleable_qty < flt(item.get("qty")):
+			conflicts.append(_("Row #{0}: Only {1} of {2} is available in {3}, but {4} was ordered").format(
+				idx, saleable_qty, frappe.bold(item.get("item_code")), item.get("warehouse"), flt(item.get("qty"))))
+
+	return conflicts
+
+@frappe.whitelist()
+def get_customer_credit_status(customer, company, order_total=0):
+	"""
+		Return a customer's credit limit, outstanding balance and overdue invoices,
+		along with any issues that should stop a new order of the given total
+	"""
+
+	frappe.has_permission("Customer", "read", customer, throw=True)
+
+	settings = frappe.get_single("Order Desk Settings")
+	overdue_threshold_days = cint(settings.overdue_threshold_days) \
+		if settings.overdue_threshold_days not in (None, "") else DEFAULT_OVERDUE_THRESHOLD_DAYS
+
+	credit_limit = flt(get_credit_limit(customer, company))
+	outstanding = flt(get_customer_outstanding(customer, company))
+
+	overdue_invoices = frappe.db.sql("""
+		SELECT COUNT(name) as overdue_count, MIN(due_date) as oldest_due_date
+		FROM `tabSales Invoice`
+		WHERE customer = %(customer)s
+			AND company = %(company)s
+			AND docstatus = 1
+			AND outstanding_amount > 0
+			AND due_date < %(today)s
+	""", {"customer": customer, "company": company, "today": nowdate()}, as_dict=1)[0]
+
+	oldest_overdue_days = date_diff(nowdate(), overdue_invoices.oldest_due_date) \
+		if overdue_invoices.oldest_due_date else 0
+
+	currency = frappe.get_cached_value("Company", company, "default_currency")
+	issues = []
+
+	if credit_limit and outstanding + flt(order_total) > credit_limit:
+		issues.append(_("This order would take {0} over their credit limit of {1}, with {2} already outstanding").format(
+			frappe.bold(customer), fmt_money(credit_limit, currency=currency), fmt_money(outstanding, currency=currency)))
+
+	# overdue invoices still count against the customer, but their details are only shown
+	# to users who can read Sales Invoices
+	can_read_invoices = frappe.has_permission("Sales Invoice", "read")
+	if overdue_invoices.overdue_count and oldest_overdue_days > overdue_threshold_days:
+		if can_read_invoices:
+			issues.append(_("{0} has {1} overdue invoice(s), the oldest overdue by {2} days").format(
+				frappe.bold(customer), overdue_invoices.overdue_count, oldest_overdue_days))
+		else:
+			issues.append(_("{0} has invoices overdue by more than {1} days").format(
+				frappe.bold(customer), overdue_threshold_days))
+
+	return {
+		"currency": currency,
+		"credit_limit": credit_limit,
+		"outstanding": outstanding,
+		"overdue_count": cint(overdue_invoices.overdue_count) if can_read_invoices else 0,
+		"oldest_overdue_days": oldest_overdue_days if can_read_invoices else 0,
+		"overdue_threshold_days": overdue_threshold_days,
+		"action": get_credit_check_action(settings),
+		"issues": issues
+	}
+
+def get_credit_check_action(settings):
+	"""return whether credit issues warn or block the current user, the most lenient of their roles winning"""
+
+	user_roles = frappe.get_roles()
+	actions = [rule.action for rule in settings.credit_check_rules if rule.role in user_roles]
+
+	if not actions:
+		return settings.default_credit_action or "Warn"
+
+	return "Warn" if "Warn" in actions else "Block"
+
+@frappe.whitelist()
+def get_customer_order_history(customer, limit=5):
+	"""return a customer's recent Sales Orders and most-purchased items"""
+
+	frappe.has_permission("Customer", "read", customer, throw=True)
+	frappe.has_permission("Sales Order", "read", throw=True)
+
+	limit = cint(limit) or 5
+
+	orders = frappe.get_list("Sales Order",
+		filters={"customer": customer, "docstatus": 1},
+		fields=["name", "transaction_date", "grand_total", "currency", "status"],
+		order_by="transaction_date desc, creation desc",
+		limit_page_length=limit)
+
+	if orders:
+		order_items = frappe.get_all("Sales Order Item",
+			filters={"parent": ["in", [order.name for order in orders]]},
+			fields=["parent", "item_code", "item_name", "qty", "rate"],
+			order_by="idx")
+
+		for order in orders:
+			order["items"] = [item for item in order_items if item.parent == order.name]
+
+	top_items = frappe.db.sql("""
+		SELECT
+			order_item.item_code,
+			order_item.item_name,
+			sum(order_item.qty) as total_qty,
+			count(distinct sales_order.name) as order_count,
+			max(sales_order.transaction_date) as last_ordered_on
+		FROM
+			`tabSales Order Item` order_item
+				INNER JOIN `tabSales Order` sales_order ON sales_order.name = order_item.parent
+		WHERE
+			sales_order.customer = %(customer)s
+			AND sales_order.docstatus = 1
+		GROUP BY
+			order_item.item_code, order_item.item_name
+		ORDER BY
+			total_qty desc
+		LIMIT %(limit)s
+	""", {"customer": customer, "limit": limit}, as_dict=1)
+
+	for item in top_items:
+		# suggest the customer's usual order size when adding the line
+		item["average_qty"] = flt(item.total_qty / item.order_count) if item.order_count else 0
+
+	return {
+		"orders": orders,
+		"top_items": top_items
+	}
+
+@frappe.whitelist()
+def get_post_submit_settings():
+	"""return the post-submit actions that are selected by default in Order Desk"""
+
+	settings = frappe.get_single("Order Desk Settings")
+
+	return {
+		"create_pick_list": settings.create_pick_list,
+		"create_sales_invoice": settings.create_sales_invoice,
+		"create_delivery_note": settings.create_delivery_note,
+		"email_customer": settings.email_customer,
+		"email_template": settings.email_template,
+		"print_order": settings.print_order,
+		"print_format": settings.print_format
+	}
+
+@frappe.whitelist()
+def run_post_submit_actions(sales_order, actions):
+	"""create the selected follow-up documents for a submitted Sales Order and email it to the customer"""
+
+	if isinstance(actions, string_types):
+		actions = json.loads(actions)
+
+	frappe.has_permission("Sales Order", "submit", sales_order, throw=True)
+	if frappe.db.get_value("Sales Order", sales_order, "docstatus") != 1:
+		frappe.throw(_("Sales Order {0} must be submitted first").format(frappe.bold(sales_order)))
+
+	document_actions = [
+		("create_pick_list", "Pick List", get_or_create_pick_list),
+		("create_sales_invoice", "Sales Invoice", get_or_create_sales_invoice),
+		("create_delivery_note", "Delivery Note", get_or_create_delivery_note)
+	]
+
+	results = []
+	for action, doctype, make_document in document_actions:
+		if not actions.get(action):
+			continue
+
+		result = {"action": action, "doctype": doctype, "names": []}
+
+		# each action is committed on its own, so one failure doesn't undo the others
+		try:
+			names, created = make_document(sales_order)
+			frappe.db.commit()
+		except Exception as e:
+			frappe.db.rollback()
+			result.update({
+				"status": "Failed",
+				"message": cstr(e) or _("The {0} could not be created").format(_(doctype))
+			})
+		else:
+			if not names:
+				status = "Skipped"
+				message = _("Nothing left to add to a {0}").format(_(doctype))
+			elif created:
+				status = "Created"
+				message = ""
+			else:
+				status = "Exists"
+				message = _("Already created against this order")
+
+			result.update({"status": status, "names": names, "message": message})
+
+		results.append(result)
+
+	if actions.get("email_customer"):
+		results.append(email_sales_order(sales_order, actions.get("email_template"), actions.get("print_format")))
+
+	return results
+
+def email_sales_order(sales_order, email_template=None, print_format=None):
+	result = {"action": "email_customer", "doctype": "Communication", "names": []}
+	doc = frappe.get_doc("Sales Order", sales_order)
+
+	recipient = doc.contact_email or frappe.db.get_value("Customer", doc.customer, "email_id")
+	if not recipient:
+		result.update({
+			"status": "Failed",
+			"message": _("No email address found for {0}").format(doc.customer_name or doc.customer)
+		})
+		return result
+
+	if email_template:
+		email = get_email_template(email_template, doc.as_dict())
+		subject, message = email.get("subject"), email.get("message")
+	else:
+		subject = _("Sales Order {0}").format(doc.name)
+		message = _("Please find attached your Sales Order {0}.").format(doc.name)
+
+	try:
+		communication = make_communication(doctype=doc.doctype, name=doc.name, content=message,
+			subject=subject, recipients=recipient, send_email=True,
+			print_format=print_format or "Standard")
+	except Exception as e:
+		result.update({
+			"status": "Failed",
+			"message": cstr(e) or _("The email could not be sent")
+		})
+		return result
+
+	result.update({
+		"status": "Sent",
+		"names": [communication.get("name")],
+		"message": _("Sent to {0}").format(recipient)
+	})
+	return result
+
 def get_conditions(item_code, serial_no, batch_no, barcode):
 	if serial_no or batch_no or barcode:
-		return "name = {0}".format(frappe.db.escape(item_code))
+		return "item.name = {0}".format(frappe.db.escape(item_code))
 
-	return """(name like {item_code}
-		or item_name like {item_code})""".format(item_code = frappe.db.escape('%' + item_code + '%'))
+	return """(item.name like {item_code}
+		or item.item_name like {item_code})""".format(item_code = frappe.db.escape('%' + item_code + '%'))
 
 def item_group_query(doctype, txt, searchfield, start, page_len, filters):
 	return frappe.db.sql(""" select distinct name from `tabItem Group`
@@ -4,12 +4,15 @@
 
 from __future__ import unicode_literals
 
+import json
+
 from requests.utils import quote
 
 import frappe
 from erpnext.accounts.doctype.sales_invoice.sales_invoice import get_bank_cash_account
+from frappe import _
 from frappe.model.mapper import get_mapped_doc
-from frappe.utils import flt, nowdate, today
+from frappe.utils import add_days, cint, date_diff, flt, getdate, nowdate, today
 from bloomstack_core.bloomtrace import make_integration_request
 
 def generate_directions_url(delivery_trip, method):
@@ -71,3 +74,87 @@ def set_vehicle_last_odometer_value(trip, method):
 def get_address_display(address):
 	address_details = frappe.db.get_value("Address", address, "*", as_dict=True)
 	return frappe.render_template("erpnext/regional/united_states/address_template.html", address_details)
+
+
+@frappe.whitelist()
+def get_delivery_calendar(customer, from_date, to_date, company=None):
+	"""
+		Return each day in the given range with the customer's delivery preferences,
+		company holidays and the number of stops that can still be scheduled on it
+	"""
+
+	from_date, to_date = getdate(from_date), getdate(to_date)
+
+	delivery_days = get_customer_delivery_days(customer)
+	holidays = get_holidays(company, from_date, to_date)
+	capacity = cint(frappe.db.get_single_value("Delivery Settings", "daily_delivery_capacity"))
+	scheduled_stops = get_scheduled_stops(from_date, to_date)
+
+	calendar = []
+	for offset in range(date_diff(to_date, from_date) + 1):
+		date = add_days(from_date, offset)
+		weekday = date.strftime("%A")
+		scheduled = scheduled_stops.get(date, 0)
+		remaining_capacity = max(capacity - scheduled, 0) if capacity else None
+
+		issues = []
+		if delivery_days and weekday not in delivery_days:
+			issues.append(_("The customer only accepts deliveries on {0}").format(", ".join(delivery_days)))
+
+		if date in holidays:
+			issues.append(_("{0} is a holiday").format(frappe.format(date, {"fieldtype": "Date"})))
+
+		if remaining_capacity == 0:
+			issues.append(_("All {0} delivery slots on {1} are already scheduled").format(
+				capacity, frappe.format(date, {"fieldtype": "Date"})))
+
+		calendar.append({
+			"date": date,
+			"weekday": weekday,
+			"is_delivery_day": not delivery_days or weekday in delivery_days,
+			"is_holiday": date in holidays,
+			"scheduled": scheduled,
+			"remaining_capacity": remaining_capacity,
+			"issues": issues
+		})
+
+	return calendar
+
+
+def get_customer_delivery_days(customer):
+	delivery_days = frappe.db.get_value("Customer", customer, "delivery_days") if customer else None
+	return json.loads(delivery_days) if delivery_days else []
+
+
+def get_holidays(company, from_date, to_date):
+	company = company or frappe.defaults.get_user_default("Company")
+	holiday_list = frappe.get_cached_value("Company", company, "default_holiday_list") if company else None
+
+	if not holiday_list:
+		return []
+
+	holidays = frappe.get_all("Holiday",
+		filters={"parent": holiday_list, "holiday_date": ["between", [from_date, to_date]]},
+		fields=["holiday_date"])
+
+	return [getdate(holiday.holiday_date) for holiday in holidays]
+
+
+def get_scheduled_stops(from_date, to_date):
+	"""count the delivery stops on active Delivery Trips, grouped by departure date"""
+
+	stops = frappe.db.sql("""
+		SELECT
+			DATE(trip.departure_time) as departure_date,
+			count(stop.name) as stops
+		FROM
+			`tabDelivery Trip` trip
+				INNER JOIN `tabDelivery Stop` stop ON stop.parent = trip.name
+		WHERE
+			trip.docstatus < 2
+			AND DATE(trip.departure_time) BETWEEN %(from_date)s AND %(to_date)s
+		GROUP BY
+			DATE(trip.departure_time)
+	""", {"from_date": from_date, "to_date": to_date}, as_dict=1)
+
+	return {getdate(stop.departure_date): stop.stops for stop in stops}
@@ -27,29 +27,8 @@ def create_multiple_pick_lists(orders):
 
 	created_orders = []
 	for order in orders:
-		created = False
 		customer = frappe.db.get_value("Sales Order", order, "customer")
-
-		# check if a Pick List already exists against the order
-		pick_lists = frappe.get_all("Pick List",
-			filters=[
-				["Pick List", "docstatus", "<", 2],
-				["Pick List Item", "sales_order", "=", order]
-			],
-			distinct=True)
-		pick_lists = [item.name for item in pick_lists if item.name]
-
-		# if none are found, then create a new Pick List
-		if not pick_lists:
-			order_doc = create_pick_list(order)
-
-			# if no items can be picked, do not create an empty Pick List
-			if order_doc.get("locations"):
-				order_doc.save()
-				pick_lists = [order_doc.name]
-				created = True
-			else:
-				pick_lists = []
+		pick_lists, created = get_or_create_pick_list(order)
 
 		created_orders.append({
 			"sales_order": order,
@@ -66,29 +45,8 @@ def create_multiple_sales_invoices(orders):
 
 	created_orders = []
 	for order in orders:
-		created = False
 		customer = frappe.db.get_value("Sales Order", order, "customer")
-
-		# check if a Sales Invoice already exists against the order
-		sales_invoices = frappe.get_all("Sales Invoice",
-			filters=[
-				["Sales Invoice", "docstatus", "<", 2],
-				["Sales Invoice Item", "sales_order", "=", order]
-			],
-			distinct=True)
-		sales_invoices = [item.name for item in sales_invoices if item.name]
-
-		# if none are found, then create a new Sales Invoice
-		if not sales_invoices:
-			order_doc = make_sales_invoice(order)
-
-			# if no items can be avilable, do not create an empty Sales Invoice
-			if order_doc.get("items"):
-				order_doc.save()
-				sales_invoices = [order_doc.name]
-				created = True
-			else:
-				sales_invoices = []
+		sales_invoices, created = get_or_create_sales_invoice(order)
 
 		created_orders.append({
 			"sales_order": order,
@@ -105,29 +63,8 @@ def create_muliple_delivery_notes(orders):
 
 	created_orders = []
 	for order in orders:
-		created = False
 		customer = frappe.db.get_value("Sales Order", order, "customer")
-
-		# check if a Delivery Note already exists against the order
-		delivery_notes = frappe.get_all("Delivery Note",
-			filters=[
-				["Delivery Note", "docstatus", "<", 2],
-				["Delivery Note Item", "against_sales_order", "=", order]
-			],
-			distinct=True)
-		delivery_notes = [item.name for item in delivery_notes if item.name]
-
-		# if none are found, then create a new Pick List
-		if not delivery_notes:
-			order_doc = make_delivery_note(order)
-
-			# if no items can be picked, do not create an empty Pick List
-			if order_doc.get("items"):
-				order_doc.save()
-				delivery_notes = [order_doc.name]
-				created = True
-			else:
-				delivery_notes = []
+		delivery_notes, created = get_or_create_delivery_note(order)
 
 		created_orders.append({
 			"sales_order": order,
@@ -139,6 +76,93 @@ def create_muliple_delivery_notes(orders):
 	return created_orders
 
 
+def get_or_create_pick_list(order):
+	"""
+		Return the Pick Lists against a Sales Order, creating one if none exist.
+		The second return value is True if a new Pick List was created.
+	"""
+
+	# check if a Pick List already exists against the order
+	pick_lists = frappe.get_all("Pick List",
+		filters=[
+			["Pick List", "docstatus", "<", 2],
+			["Pick List Item", "sales_order", "=", order]
+		],
+		distinct=True)
+	pick_lists = [item.name for item in pick_lists if item.name]
+
+	if pick_lists:
+		return pick_lists, False
+
+	# if none are found, then create a new Pick List
+	order_doc = create_pick_list(order)
+
+	# if no items can be picked, do not create an empty Pick List
+	if not order_doc.get("locations"):
+		return [], False
+
+	order_doc.save()
+	return [order_doc.name], True
+
+
+def get_or_create_sales_invoice(order):
+	"""
+		Return the Sales Invoices against a Sales Order, creating one if none exist.
+		The second return value is True if a new Sales Invoice was created.
+	"""
+
+	# check if a Sales Invoice already exists against the order
+	sales_invoices = frappe.get_all("Sales Invoice",
+		filters=[
+			["Sales Invoice", "docstatus", "<", 2],
+			["Sales Invoice Item", "sales_order", "=", order]
+		],
+		distinct=True)
+	sales_invoices = [item.name for item in sales_invoices if item.name]
+
+	if sales_invoices:
+		return sales_invoices, False
+
+	# if none are found, then create a new Sales Invoice
+	order_doc = make_sales_invoice(order)
+
+	# if no items can be avilable, do not create an empty Sales Invoice
+	if not order_doc.get("items"):
+		return [], False
+
+	order_doc.save()
+	return [order_doc.name], True
+
+
+def get_or_create_delivery_note(order):
+	"""
+		Return the Delivery Notes against a Sales Order, creating one if none exist.
+		The second return value is True if a new Delivery Note was created.
+	"""
+
+	# check if a Delivery Note already exists against the order
+	delivery_notes = frappe.get_all("Delivery Note",
+		filters=[
+			["Delivery Note", "docstatus", "<", 2],
+			["Delivery Note Item", "against_sales_order", "=", order]
+		],
+		distinct=True)
+	delivery_notes = [item.name for item in delivery_notes if item.name]
+
+	if delivery_notes:
+		return delivery_notes, False
+
+	# if none are found, then create a new Delivery Note
+	order_doc = make_delivery_note(order)
+
+	# if no items can be delivered, do not create an empty Delivery Note
+	if not order_doc.get("items"):
+		return [], False
+
+	order_doc.save()
+	return [order_doc.name], True
+
+
 def validate_batch_item(sales_order, method):
 	for item in sales_order.items:
 		qty = item.stock_qty or item.transfer_qty or item.qty or 0
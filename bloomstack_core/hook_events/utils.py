@@ -1,3 +1,7 @@
+import json
+
+from six import string_types
+
 import frappe
 from bloomstack_core.bloomtrace import make_integration_request
 from frappe import _
@@ -37,8 +41,93 @@ def validate_expired_licenses(doc, method):
 				row.idx, frappe.bold(row.license), frappe.bold(expired_since))))
 
 
+@frappe.whitelist()
+def get_license_status(party_type, party, items=None):
+	"""
+		Return the party's default license with its validity,
+		and the items its license type isn't allowed to buy
+	"""
+	from erpnext.compliance.utils import get_default_license
+
+	if isinstance(items, string_types):
+		items = json.loads(items)
+
+	is_compliance_enabled = is_compliance_enabled_for_site()
+	license = get_default_license(party_type, party) if party else None
+	license_info = frappe.db.get_value("Compliance Info", license,
+		["license_number", "license_type", "license_expiry_date"], as_dict=True) if license else None
+
+	if not license_info:
+		return {
+			"license": None,
+			"status": "Missing",
+			"is_valid": False,
+			"is_compliance_enabled": is_compliance_enabled,
+			"message": _("{0} {1} does not have a license on record").format(party_type, party),
+			"restricted_items": []
+		}
+
+	is_expired = bool(license_info.license_expiry_date and getdate(license_info.license_expiry_date) < getdate(today()))
+	license_info.update({
+		"license": license,
+		"status": "Expired" if is_expired else "Valid",
+		"is_valid": not is_expired,
+		"is_compliance_enabled": is_compliance_enabled,
+		"message": _("License {0} expired on {1}").format(license_info.license_number,
+			frappe.format(license_info.license_expiry_date, {"fieldtype": "Date"})) if is_expired else None,
+		"restricted_items": get_restricted_items(license_info.license_type, items or [])
+	})
+
+	return license_info
+
+
+def is_compliance_enabled_for_site():
+	return bool(frappe.db.get_single_value("Compliance Settings", "is_compliance_enabled"))
+
+
+def get_restricted_items(license_type, items):
+	"""return the items that are limited to license types other than the given one"""
+
+	if not items:
+		return []
+
+	allowed_license_types = frappe.get_all("Allowed License Type",
+		filters={"parenttype": "Item", "parent": ["in", items]},
+		fields=["parent", "license_type"])
+
+	restrictions = {}
+	for row in allowed_license_types:
+		restrictions.setdefault(row.parent, []).append(row.license_type)
+
+	return [item for item, license_types in restrictions.items() if license_type not in license_types]
+
+
+def get_license_issues(doc):
+	"""return why the customer's license doesn't allow the order, if it doesn't"""
+
+	if not is_compliance_enabled_for_site():
+		return []
+
+	items = [item.get("item_code") for item in doc.get("items", [])]
+	license_status = get_license_status("Customer", doc.get("customer"), items)
+
+	issues = []
+	if not license_status.get("is_valid"):
+		issues.append(license_status.get("message"))
+
+	if license_status.get("restricted_items"):
+		issues.append(_("License type {0} is not allowed to buy: {1}").format(
+			license_status.get("license_type") or _("None"), ", ".join(license_status.get("restricted_items"))))
+
+	return issues
+
+
 def validate_delivery_window(doc, method):
 	from erpnext.stock.doctype.delivery_trip.delivery_trip import get_delivery_window
+
+	if method == "validate" and doc.doctype == "Sales Order":
+		validate_delivery_date(doc)
+
 	if not frappe.db.get_single_value("Delivery Settings", "send_delivery_window_warning"):
 		return
 
@@ -87,6 +176,25 @@ def validate_delivery_window(doc, method):
 			frappe.sendmail(recipients=recipients, subject=subject, message=message)
 
 
+def validate_delivery_date(doc):
+	"""warn if the delivery falls on a day the customer, the holiday list or route capacity doesn't allow"""
+	from bloomstack_core.hook_events.delivery_trip import get_delivery_calendar
+
+	delivery_date = doc.get("delivery_date")
+	if not (doc.get("customer") and delivery_date):
+		return
+
+	# only warn when the date is set or changed, not on every save after
+	doc_before_save = doc.get_doc_before_save()
+	if doc_before_save and doc_before_save.get("delivery_date") \
+		and getdate(doc_before_save.delivery_date) == getdate(delivery_date):
+		return
+
+	delivery_day = get_delivery_calendar(doc.customer, delivery_date, delivery_date, doc.get("company"))[0]
+	for issue in delivery_day.get("issues"):
+		frappe.msgprint(issue, title=_("Delivery Date"), indicator="orange")
+
+
 def create_integration_request(doc, method):
 	if method == "validate":
 		if not doc.is_new():
@@ -172,7 +172,8 @@ doc_events = {
 	"Customer": {
 		"validate": [
 			"bloomstack_core.hook_events.customer.update_lead_acc_open_date"
-		]
+		],
+		"after_insert": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache"
 	},
 	("Company", "Supplier", "Customer"): {
 		"validate": [
@@ -194,7 +195,9 @@ doc_events = {
 	},
 	"Sales Order": {
 		"validate": "bloomstack_core.hook_events.sales_order.validate_batch_item",
-		"on_update_after_submit": "bloomstack_core.hook_events.sales_order.check_overdue_status"
+		"on_update_after_submit": "bloomstack_core.hook_events.sales_order.check_overdue_status",
+		"on_submit": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache",
+		"on_cancel": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache"
 	},
 	"Stock Entry": {
 		"on_submit": "bloomstack_core.compliance.package.create_package_from_stock"
@@ -220,14 +223,36 @@ doc_events = {
 		],
 		"after_insert": [
 			"bloomstack_core.hook_events.utils.create_integration_request",
-		]
+		],
+		"on_update": "bloomstack_core.bloomstack_core.page.order_desk.order_desk.clear_items_cache",
+		"on_trash": "bloomstack_core.bloomstack_core.page.order_desk.order_desk.clear_items_cache"
+	},
+	"Item Price": {
+		"on_update": "bloomstack_core.bloomstack_core.page.order_desk.order_desk.clear_items_cache",
+		"on_trash": "bloomstack_core.bloomstack_core.page.order_desk.order_desk.clear_items_cache"
 	},
 	"Packing Slip": {
 		"on_submit": "bloomstack_core.hook_events.packing_slip.create_stock_entry"
 	},
+	"Journal Entry": {
+		"on_submit": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache",
+		"on_cancel": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache"
+	},
+	"Payment Entry": {
+		"on_submit": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache",
+		"on_cancel": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache"
+	},
 	"Sales Invoice": {
 		"before_submit": "bloomstack_core.hook_events.sales_invoice.create_metrc_sales_receipt",
-		"before_update_after_submit": "bloomstack_core.hook_events.sales_invoice.set_invoice_status"
+		"before_update_after_submit": "bloomstack_core.hook_events.sales_invoice.set_invoice_status",
+		"on_submit": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache",
+		"on_cancel": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_insight_cache"
+	},
+	"Stock Ledger Entry": {
+		"on_submit": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_inventory_cache"
+	},
+	"Batch": {
+		"on_update": "bloomstack_core.bloomstack_core.page.insight_engine.insight_engine.clear_inventory_cache"
 	},
 	"User": {
 		"validate": [
@@ -279,7 +304,8 @@ scheduler_events = {
 		"bloomstack_core.hook_events.plant_additive_log.execute_bloomtrace_integration_request"
 	],
 	"daily": [
-		"bloomstack_core.hook_events.sales_order.create_sales_invoice_against_contract"
+		"bloomstack_core.hook_events.sales_order.create_sales_invoice_against_contract",
+		"bloomstack_core.bloomstack_core.doctype.insight_engine_digest.insight_engine_digest.send_insight_engine_digests"
 	],
 	"daily_long": [
 		"bloomstack_core.hook_events.sales_order.update_order_status"
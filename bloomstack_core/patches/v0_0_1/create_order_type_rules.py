@@ -0,0 +1,15 @@
+import frappe
+
+
+def execute():
+	frappe.reload_doc("bloomstack_core", "doctype", "order_type_rule")
+	frappe.reload_doc("bloomstack_core", "doctype", "order_type_settings")
+
+	settings = frappe.get_single("Order Type Settings")
+	if settings.order_types:
+		return
+
+	# carry over the discounts that Order Desk used to hardcode
+	settings.append("order_types", {"order_type": "Sales", "discount_percentage": 0})
+	settings.append("order_types", {"order_type": "Sample", "discount_percentage": 100})
+	settings.save()
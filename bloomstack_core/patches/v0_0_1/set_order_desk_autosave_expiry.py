@@ -0,0 +1,11 @@
+import frappe
+
+
+def execute():
+	frappe.reload_doc("bloomstack_core", "doctype", "order_desk_settings")
+
+	# singles don't pick up the defaults of newly added fields on existing sites
+	if frappe.db.get_single_value("Order Desk Settings", "autosave_expiry_hours"):
+		return
+
+	frappe.db.set_value("Order Desk Settings", None, "autosave_expiry_hours", 24)
@@ -0,0 +1,17 @@
+import frappe
+
+
+def execute():
+	frappe.reload_doc("bloomstack_core", "doctype", "order_desk_settings")
+
+	# singles don't pick up the defaults of newly added fields on existing sites
+	defaults = {
+		"overdue_threshold_days": 30,
+		"default_credit_action": "Warn"
+	}
+
+	for fieldname, value in defaults.items():
+		if frappe.db.get_single_value("Order Desk Settings", fieldname):
+			continue
+
+		frappe.db.set_value("Order Desk Settings", None, fieldname, value)
@@ -0,0 +1,18 @@
+import Vuex from 'vuex/dist/vuex';
+import cart, { get_fefo_allocations, apply_increment, is_increment } from '../store/modules/order_desk_cart';
+
+frappe.provide('erpnext.pos.order_desk');
+
+// the Order Desk page isn't bundled, so the cart store is handed to it from here
+erpnext.pos.order_desk.cart = {
+   make_store() {
+      return new Vuex.Store({
+         modules: {
+            cart
+         }
+      });
+   },
+   get_fefo_allocations,
+   apply_increment,
+   is_increment
+};
@@ -0,0 +1,322 @@
+// Cart state for the Order Desk: lines, batches, discounts and totals.
+// Everything in here is plain data and pure functions, so the cart rules can be
+// tested without a browser. The page copies the lines into its Sales Order form,
+// which prices them and calculates taxes, and renders the cart from this state.
+
+const PRECISION = 1000000;
+
+function flt(value) {
+   const number = parseFloat(value);
+   return isNaN(number) ? 0 : Math.round(number * PRECISION) / PRECISION;
+}
+
+function is_same_line(line, { item_code, batch_no, warehouse }) {
+   // lines added without a warehouse take the item's default, so they match any
+   return line.item_code === item_code
+      && (line.batch_no || null) === (batch_no || null)
+      && (!warehouse || line.warehouse === warehouse);
+}
+
+function get_line(state, name) {
+   return state.lines.find(line => line.name === name);
+}
+
+function remove_line(state, name) {
+   state.lines = state.lines.filter(line => line.name !== name);
+}
+
+function add_line(state, values) {
+   // a line for the same item, batch and warehouse is topped up instead of duplicated
+   const existing_line = state.lines.find(line => is_same_line(line, values));
+   if (existing_line) {
+      existing_line.qty = flt(existing_line.qty + flt(values.qty));
+      return existing_line;
+   }
+
+   const line = Object.assign({
+      batch_no: null,
+      warehouse: null,
+      rate: 0,
+      price_list_rate: 0,
+      discount_percentage: 0,
+      serial_no: "",
+      rate_overridden: false,
+      discount_overridden: false,
+      needs_pricing: false
+   }, values, {
+      name: values.name || `new-cart-line-${state.next_line_id++}`,
+      qty: flt(values.qty)
+   });
+
+   state.lines.push(line);
+   return line;
+}
+
+function get_initial_state() {
+   return {
+      customer: null,
+      lines: [],
+      additional_discount_percentage: 0,
+      ignore_pricing_rule: false,
+      total: 0,
+      taxes: [],
+      total_taxes_and_charges: 0,
+      grand_total: 0,
+      rounded_total: 0,
+      next_line_id: 1
+   };
+}
+
+export function is_increment(value) {
+   // quantities and rates can be given as increments, like '+1' or '-1'
+   return typeof value === "string" && /^[+-]/.test(value.trim());
+}
+
+export function apply_increment(current_value, value) {
+   return is_increment(value) ? flt(flt(current_value) + flt(value)) : flt(value);
+}
+
+export function get_fefo_allocations(batches, qty) {
+   // allocate the requested qty across unexpired batches, first-expiring first
+   let remaining_qty = flt(qty);
+   const allocations = [];
+
+   batches
+      .filter(batch => !batch.is_expired && flt(batch.qty) > 0)
+      .forEach(batch => {
+         if (remaining_qty <= 0) {
+            return;
+         }
+
+         const allocated_qty = Math.min(flt(batch.qty), remaining_qty);
+         allocations.push({ batch_no: batch.batch_no, qty: allocated_qty });
+         remaining_qty = flt(remaining_qty - allocated_qty);
+      });
+
+   // any shortfall stays on the last batch, so the order still carries the full qty
+   if (remaining_qty > 0 && allocations.length) {
+      const last_allocation = allocations[allocations.length - 1];
+      last_allocation.qty = flt(last_allocation.qty + remaining_qty);
+   }
+
+   return allocations;
+}
+
+export function get_net_total(state) {
+   return flt(state.lines.reduce((total, line) => total + flt(line.qty) * flt(line.rate), 0));
+}
+
+export function get_discount_amount(state) {
+   return flt(get_net_total(state) * flt(state.additional_discount_percentage) / 100);
+}
+
+export default {
+   state: get_initial_state,
+
+   getters: {
+      lines: state => state.lines,
+      total_qty: state => flt(state.lines.reduce((total, line) => total + flt(line.qty), 0)),
+      net_total: state => get_net_total(state),
+      discount_amount: state => get_discount_amount(state),
+      find_line: state => criteria => state.lines.find(line => is_same_line(line, criteria)),
+      get_line: state => name => get_line(state, name),
+      lines_needing_pricing: state => state.lines.filter(line => line.needs_pricing)
+   },
+
+   mutations: {
+      RESET(state) {
+         Object.assign(state, get_initial_state());
+      },
+
+      SET_CUSTOMER(state, customer) {
+         customer = customer || null;
+         if (customer === state.customer) {
+            return;
+         }
+
+         // prices depend on the customer, so every line is repriced for the new one
+         state.customer = customer;
+         state.ignore_pricing_rule = false;
+         state.lines.forEach(line => {
+            line.rate_overridden = false;
+            line.needs_pricing = true;
+         });
+      },
+
+      ADD_LINE(state, values) {
+         if (flt(values.qty) <= 0) {
+            return;
+         }
+
+         add_line(state, values);
+      },
+
+      CHANGE_QTY(state, { name, qty }) {
+         const line = get_line(state, name);
+         if (!line) {
+            return;
+         }
+
+         if (!is_increment(qty) && flt(qty) < 0) {
+            return;
+         }
+
+         const new_qty = apply_increment(line.qty, qty);
+         if (new_qty <= 0) {
+            // a line is removed rather than kept at zero
+            remove_line(state, name);
+            return;
+         }
+
+         line.qty = new_qty;
+      },
+
+      SET_SERIAL_NOS(state, { name, serial_no }) {
+         const line = get_line(state, name);
+         if (!line) {
+            return;
+         }
+
+         const serial_nos = (serial_no || "").split("\n").filter(Boolean);
+         if (!serial_nos.length) {
+            remove_line(state, name);
+            return;
+         }
+
+         line.serial_no = serial_nos.join("\n");
+         line.qty = serial_nos.length;
+      },
+
+      SET_RATE(state, { name, rate }) {
+         const line = get_line(state, name);
+         if (!line) {
+            return;
+         }
+
+         line.rate = Math.max(apply_increment(line.rate, rate), 0);
+         line.rate_overridden = true;
+         state.ignore_pricing_rule = true;
+      },
+
+      SET_LINE_DISCOUNT(state, { name, discount_percentage }) {
+         const line = get_line(state, name);
+         if (line) {
+            line.discount_percentage = Math.min(Math.max(flt(discount_percentage), 0), 100);
+            line.discount_overridden = true;
+         }
+      },
+
+      SET_DISCOUNT(state, discount_percentage) {
+         state.additional_discount_percentage = Math.min(Math.max(flt(discount_percentage), 0), 100);
+      },
+
+      SET_WAREHOUSE(state, { name, warehouse }) {
+         const line = get_line(state, name);
+         if (!line || line.warehouse === warehouse) {
+            return;
+         }
+
+         // batches are held per warehouse, so the line needs picking again
+         remove_line(state, name);
+         add_line(state, Object.assign({}, line, { warehouse, batch_no: null }));
+      },
+
+      SPLIT_BATCHES(state, { name, allocations }) {
+         const line = get_line(state, name);
+         if (!line) {
+            return;
+         }
+
+         // the line is replaced by one line per batch, merging into lines that
+         // already sell from the same batch; anything left unallocated keeps no batch
+         remove_line(state, name);
+
+         let remaining_qty = flt(line.qty);
+         allocations
+            .filter(allocation => flt(allocation.qty) > 0)
+            .forEach((allocation, idx) => {
+               const qty = Math.min(flt(allocation.qty), remaining_qty);
+               if (qty <= 0) {
+                  return;
+               }
+
+               add_line(state, Object.assign({}, line, {
+                  name: idx === 0 ? line.name : null,
+                  batch_no: allocation.batch_no,
+                  qty
+               }));
+               remaining_qty = flt(remaining_qty - qty);
+            });
+
+         if (remaining_qty > 0) {
+            add_line(state, Object.assign({}, line, { name: null, batch_no: null, qty: remaining_qty }));
+         }
+      },
+
+      REMOVE_LINE(state, name) {
+         remove_line(state, name);
+      },
+
+      RENAME_LINE(state, { from, to }) {
+         const line = get_line(state, from);
+         if (line) {
+            line.name = to;
+         }
+      },
+
+      SET_LINE_DETAILS(state, details) {
+         const line = get_line(state, details.name);
+         if (!line) {
+            return;
+         }
+
+         // details come back from the form once it has priced the line;
+         // rates and discounts typed in by the rep win over the price list
+         ["item_name", "stock_uom", "has_batch_no", "has_serial_no"].forEach(field => {
+            line[field] = details[field];
+         });
+
+         if (!line.warehouse) {
+            line.warehouse = details.warehouse || null;
+         }
+
+         if (!line.rate_overridden) {
+            line.rate = flt(details.rate);
+         }
+
+         if (!line.discount_overridden) {
+            line.discount_percentage = flt(details.discount_percentage);
+         }
+
+         line.price_list_rate = flt(details.price_list_rate);
+         line.needs_pricing = false;
+      },
+
+      LOAD(state, { customer, lines }) {
+         // lines already in the cart keep the rates and discounts the rep set
+         const previous_lines = state.lines;
+
+         state.customer = customer || null;
+         state.lines = [];
+         lines.forEach(line => {
+            if (flt(line.qty) <= 0) {
+               return;
+            }
+
+            const previous_line = previous_lines.find(previous_line => previous_line.name === line.name) || {};
+            add_line(state, Object.assign({
+               rate_overridden: previous_line.rate_overridden || false,
+               discount_overridden: previous_line.discount_overridden || false
+            }, line));
+         });
+      },
+
+      SET_TOTALS(state, { total, taxes, total_taxes_and_charges, grand_total, rounded_total }) {
+         state.total = flt(total);
+         state.taxes = (taxes || []).map(({ description, tax_amount }) => ({ description, tax_amount: flt(tax_amount) }));
+         state.total_taxes_and_charges = flt(total_taxes_and_charges);
+         state.grand_total = flt(grand_total);
+         state.rounded_total = flt(rounded_total);
+      }
+   }
+};
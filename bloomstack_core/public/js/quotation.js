@@ -53,22 +53,20 @@ frappe.ui.form.on('Quotation', {
 	},
 
 	no_charge_order: (frm) => {
-		frm.trigger("set_promotional_discount");
+		return frm.trigger("set_promotional_discount");
 	},
 
 	set_promotional_discount: (frm) => {
-		let percentage_discount = 0;
+		const percentage_discount = frm.doc.no_charge_order ? 100 : 0;
 
-		if (frm.doc.no_charge_order) {
-			frm.set_value("apply_discount_on", "Grand Total");
-			percentage_discount = 100;
-		}
-
-		frm.set_value("additional_discount_percentage", percentage_discount);
-
-		frappe.show_alert({
-			indicator: 'green',
-			message: __(`${percentage_discount}% discount applied`)
-		});
+		// returned so that anything setting `no_charge_order` can wait for the discount
+		return frappe.run_serially([
+			() => frm.doc.no_charge_order && frm.set_value("apply_discount_on", "Grand Total"),
+			() => frm.set_value("additional_discount_percentage", percentage_discount),
+			() => frappe.show_alert({
+				indicator: 'green',
+				message: __(`${percentage_discount}% discount applied`)
+			})
+		]);
 	}
 });
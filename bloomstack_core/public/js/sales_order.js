@@ -1,23 +1,99 @@
 /* global frappe, erpnext, _ */
 
 frappe.ui.form.on('Sales Order', {
-	no_charge_order: (frm) => {
-		frm.trigger("set_promotional_discount");
+	order_type: (frm) => {
+		frm.trigger("apply_order_type_rule");
 	},
 
-	set_promotional_discount: (frm) => {
-		let percentage_discount = 0;
-
-		if (frm.doc.no_charge_order) {
-			frm.set_value("apply_discount_on", "Grand Total");
-			percentage_discount = 100;
+	apply_order_type_rule: (frm) => {
+		if (!frm.doc.order_type || frm.doc.docstatus !== 0) {
+			return;
 		}
 
-		frm.set_value("additional_discount_percentage", percentage_discount);
+		frappe.call({
+			method: "bloomstack_core.bloomstack_core.doctype.order_type_settings.order_type_settings.get_order_type_rule",
+			args: { order_type: frm.doc.order_type }
+		}).then((r) => {
+			const rule = r.message;
 
-		frappe.show_alert({
-			indicator: 'green',
-			message: __(`${percentage_discount}% discount applied`)
+			// the previous type's rule is undone first, so nothing it set carries over
+			return frappe.run_serially([
+				() => frm.order_type_rule && frm.trigger("reset_order_type_rule"),
+				() => {
+					if (rule) {
+						frm.order_type_rule = rule;
+						return frm.trigger("set_order_type_rule");
+					}
+				}
+			]);
 		});
+	},
+
+	set_order_type_rule: (frm) => {
+		const rule = frm.order_type_rule;
+
+		// remember what the rule replaces, so it can be put back
+		frm.values_without_rule = {
+			selling_price_list: frm.doc.selling_price_list,
+			warehouses: {}
+		};
+		(frm.doc.items || []).forEach((item) => {
+			frm.values_without_rule.warehouses[item.name] = item.warehouse;
+		});
+
+		return frappe.run_serially([
+			() => {
+				if (rule.selling_price_list && rule.selling_price_list !== frm.doc.selling_price_list) {
+					return frm.set_value("selling_price_list", rule.selling_price_list);
+				}
+			},
+			...(frm.doc.items || []).map((item) => () => {
+				if (rule.warehouse) {
+					return frappe.model.set_value(item.doctype, item.name, "warehouse", rule.warehouse);
+				}
+			}),
+			// the rule's discount is taken off the whole order, not again on each line
+			() => frm.set_value("additional_discount_percentage", flt(rule.discount_percentage))
+		]);
+	},
+
+	reset_order_type_rule: (frm) => {
+		const rule = frm.order_type_rule;
+		const { selling_price_list, warehouses } = frm.values_without_rule || {};
+		frm.order_type_rule = null;
+
+		return frappe.run_serially([
+			() => {
+				if (rule.selling_price_list && selling_price_list && selling_price_list !== frm.doc.selling_price_list) {
+					return frm.set_value("selling_price_list", selling_price_list);
+				}
+			},
+			// only rows the rule moved go back, and rows added since keep their warehouse
+			...(frm.doc.items || []).map((item) => () => {
+				const warehouse = (warehouses || {})[item.name];
+				if (rule.warehouse && warehouse && item.warehouse === rule.warehouse) {
+					return frappe.model.set_value(item.doctype, item.name, "warehouse", warehouse);
+				}
+			}),
+			() => frm.set_value("additional_discount_percentage", 0)
+		]);
+	},
+
+	no_charge_order: (frm) => {
+		return frm.trigger("set_promotional_discount");
+	},
+
+	set_promotional_discount: (frm) => {
+		const percentage_discount = frm.doc.no_charge_order ? 100 : 0;
+
+		// returned so that anything setting `no_charge_order` can wait for the discount
+		return frappe.run_serially([
+			() => frm.doc.no_charge_order && frm.set_value("apply_discount_on", "Grand Total"),
+			() => frm.set_value("additional_discount_percentage", percentage_discount),
+			() => frappe.show_alert({
+				indicator: 'green',
+				message: __(`${percentage_discount}% discount applied`)
+			})
+		]);
 	}
 });
@@ -0,0 +1,355 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import cart, { get_fefo_allocations } from "./store.mjs";
+
+// a minimal stand-in for Vuex, so the cart module runs headless
+function make_store() {
+   const state = cart.state();
+   const getters = {};
+
+   Object.keys(cart.getters).forEach(name => {
+      Object.defineProperty(getters, name, { get: () => cart.getters[name](state) });
+   });
+
+   return {
+      state,
+      getters,
+      commit: (mutation, payload) => cart.mutations[mutation](state, payload)
+   };
+}
+
+function add_priced_line(store, values) {
+   store.commit("ADD_LINE", values);
+   const line = store.getters.find_line(values);
+   store.commit("SET_LINE_DETAILS", Object.assign({
+      item_name: values.item_code,
+      stock_uom: "Nos",
+      warehouse: "Stores - BS",
+      rate: 10,
+      price_list_rate: 10,
+      discount_percentage: 0
+   }, values, { name: line.name }));
+
+   return line;
+}
+
+describe("order desk cart", () => {
+   let store;
+
+   beforeEach(() => {
+      store = make_store();
+      store.commit("SET_CUSTOMER", "Green Leaf Dispensary");
+   });
+
+   describe("increment and decrement", () => {
+      it("adds a new line for an item that isn't in the cart", () => {
+         store.commit("ADD_LINE", { item_code: "PRE-ROLL", qty: "+1" });
+
+         assert.equal(store.state.lines.length, 1);
+         assert.equal(store.state.lines[0].qty, 1);
+      });
+
+      it("tops up the existing line instead of adding a duplicate", () => {
+         add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+         store.commit("ADD_LINE", { item_code: "PRE-ROLL", qty: "+1" });
+         store.commit("ADD_LINE", { item_code: "PRE-ROLL", qty: 2 });
+
+         assert.equal(store.state.lines.length, 1);
+         assert.equal(store.state.lines[0].qty, 4);
+      });
+
+      it("increments and decrements a line", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+
+         store.commit("CHANGE_QTY", { name: line.name, qty: "+1" });
+         store.commit("CHANGE_QTY", { name: line.name, qty: "+1" });
+         store.commit("CHANGE_QTY", { name: line.name, qty: "-1" });
+
+         assert.equal(store.getters.get_line(line.name).qty, 2);
+         assert.equal(store.getters.total_qty, 2);
+      });
+
+      it("removes a line decremented to zero instead of keeping a zero-qty row", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+
+         store.commit("CHANGE_QTY", { name: line.name, qty: "-1" });
+
+         assert.equal(store.state.lines.length, 0);
+      });
+
+      it("removes a line set to zero", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 3 });
+
+         store.commit("CHANGE_QTY", { name: line.name, qty: 0 });
+
+         assert.equal(store.state.lines.length, 0);
+      });
+
+      it("ignores negative quantities typed into a line", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 3 });
+
+         store.commit("CHANGE_QTY", { name: line.name, qty: -2 });
+
+         assert.equal(store.getters.get_line(line.name).qty, 3);
+      });
+
+      it("never adds a line without a quantity", () => {
+         store.commit("ADD_LINE", { item_code: "PRE-ROLL", qty: 0 });
+         store.commit("ADD_LINE", { item_code: "PRE-ROLL", qty: "-1" });
+
+         assert.equal(store.state.lines.length, 0);
+      });
+
+      it("counts one unit per serial number", () => {
+         const line = add_priced_line(store, { item_code: "VAPE-KIT", qty: 1, has_serial_no: 1 });
+
+         store.commit("SET_SERIAL_NOS", { name: line.name, serial_no: "SN-001\nSN-002\n\nSN-003" });
+         assert.equal(store.getters.get_line(line.name).qty, 3);
+
+         store.commit("SET_SERIAL_NOS", { name: line.name, serial_no: "" });
+         assert.equal(store.state.lines.length, 0);
+      });
+   });
+
+   describe("batch splits", () => {
+      const batches = [
+         { batch_no: "BATCH-EXPIRED", qty: 50, is_expired: 1 },
+         { batch_no: "BATCH-A", qty: 3 },
+         { batch_no: "BATCH-EMPTY", qty: 0 },
+         { batch_no: "BATCH-B", qty: 4 }
+      ];
+
+      it("allocates first-expiring batches, skipping expired and empty ones", () => {
+         assert.deepEqual(get_fefo_allocations(batches, 5), [
+            { batch_no: "BATCH-A", qty: 3 },
+            { batch_no: "BATCH-B", qty: 2 }
+         ]);
+      });
+
+      it("leaves any shortfall on the last batch", () => {
+         assert.deepEqual(get_fefo_allocations(batches, 9), [
+            { batch_no: "BATCH-A", qty: 3 },
+            { batch_no: "BATCH-B", qty: 6 }
+         ]);
+         assert.deepEqual(get_fefo_allocations([], 9), []);
+      });
+
+      it("replaces a line with one line per batch", () => {
+         const line = add_priced_line(store, { item_code: "FLOWER-8TH", qty: 5, has_batch_no: 1 });
+         const name = line.name;
+
+         store.commit("SPLIT_BATCHES", { name, allocations: get_fefo_allocations(batches, 5) });
+
+         assert.deepEqual(store.state.lines.map(line => [line.batch_no, line.qty]), [
+            ["BATCH-A", 3],
+            ["BATCH-B", 2]
+         ]);
+         assert.equal(store.state.lines[0].name, name, "the first batch keeps the line's form row");
+         assert.notEqual(store.state.lines[1].name, name);
+         assert.equal(store.getters.total_qty, 5);
+      });
+
+      it("merges a split into lines already selling from the same batch", () => {
+         const batch_line = add_priced_line(store, { item_code: "FLOWER-8TH", qty: 1, batch_no: "BATCH-B", has_batch_no: 1 });
+         store.commit("ADD_LINE", { item_code: "FLOWER-8TH", qty: 5, warehouse: "Stores - BS" });
+         const line = store.getters.find_line({ item_code: "FLOWER-8TH", warehouse: "Stores - BS" });
+
+         store.commit("SPLIT_BATCHES", { name: line.name, allocations: get_fefo_allocations(batches, 5) });
+
+         assert.equal(store.state.lines.length, 2);
+         assert.equal(store.getters.get_line(batch_line.name).qty, 3);
+         assert.equal(store.getters.find_line({ item_code: "FLOWER-8TH", batch_no: "BATCH-A" }).qty, 3);
+      });
+
+      it("moves a whole line onto a selected batch", () => {
+         const line = add_priced_line(store, { item_code: "FLOWER-8TH", qty: 2, batch_no: "BATCH-A", has_batch_no: 1 });
+
+         store.commit("SPLIT_BATCHES", { name: line.name, allocations: [{ batch_no: "BATCH-B", qty: 2 }] });
+
+         assert.equal(store.state.lines.length, 1);
+         assert.equal(store.state.lines[0].batch_no, "BATCH-B");
+         assert.equal(store.state.lines[0].qty, 2);
+      });
+
+      it("keeps quantity that no batch covers on a line without a batch", () => {
+         const line = add_priced_line(store, { item_code: "FLOWER-8TH", qty: 5, has_batch_no: 1 });
+
+         store.commit("SPLIT_BATCHES", { name: line.name, allocations: [{ batch_no: "BATCH-A", qty: 3 }] });
+
+         assert.deepEqual(store.state.lines.map(line => [line.batch_no, line.qty]), [
+            ["BATCH-A", 3],
+            [null, 2]
+         ]);
+      });
+
+      it("clears the batch when a line moves to another warehouse", () => {
+         const line = add_priced_line(store, { item_code: "FLOWER-8TH", qty: 2, batch_no: "BATCH-A", has_batch_no: 1 });
+
+         store.commit("SET_WAREHOUSE", { name: line.name, warehouse: "Vault - BS" });
+
+         assert.equal(store.state.lines.length, 1);
+         assert.equal(store.state.lines[0].warehouse, "Vault - BS");
+         assert.equal(store.state.lines[0].batch_no, null);
+      });
+   });
+
+   describe("rate edits", () => {
+      it("sets a rate and stops pricing rules overriding it", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 2 });
+
+         store.commit("SET_RATE", { name: line.name, rate: 7.5 });
+         store.commit("SET_LINE_DETAILS", { name: line.name, rate: 10, price_list_rate: 10 });
+
+         assert.equal(line.rate, 7.5);
+         assert.equal(line.price_list_rate, 10);
+         assert.equal(store.state.ignore_pricing_rule, true);
+         assert.equal(store.getters.net_total, 15);
+      });
+
+      it("steps a rate up and down", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+
+         store.commit("SET_RATE", { name: line.name, rate: "+1" });
+         store.commit("SET_RATE", { name: line.name, rate: "+1" });
+         store.commit("SET_RATE", { name: line.name, rate: "-1" });
+
+         assert.equal(line.rate, 11);
+      });
+
+      it("never lets a rate go below zero", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+
+         store.commit("SET_RATE", { name: line.name, rate: -4 });
+         assert.equal(line.rate, 0);
+
+         store.commit("SET_RATE", { name: line.name, rate: "-1" });
+         assert.equal(line.rate, 0);
+      });
+
+      it("takes the form's rate for lines the rep hasn't priced", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+
+         store.commit("SET_LINE_DETAILS", { name: line.name, rate: 9, price_list_rate: 10, discount_percentage: 10 });
+
+         assert.equal(line.rate, 9);
+         assert.equal(line.discount_percentage, 10);
+      });
+
+      it("keeps line and order discounts within 0-100%", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 4 });
+
+         store.commit("SET_LINE_DISCOUNT", { name: line.name, discount_percentage: 120 });
+         store.commit("SET_DISCOUNT", 25);
+
+         assert.equal(line.discount_percentage, 100);
+         assert.equal(store.getters.discount_amount, 10);
+
+         store.commit("SET_DISCOUNT", -5);
+         assert.equal(store.state.additional_discount_percentage, 0);
+      });
+   });
+
+   describe("customer changes", () => {
+      it("reprices every line for the new customer", () => {
+         const first_line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+         const second_line = add_priced_line(store, { item_code: "FLOWER-8TH", qty: 2 });
+         store.commit("SET_RATE", { name: first_line.name, rate: 5 });
+
+         store.commit("SET_CUSTOMER", "High Desert Collective");
+
+         assert.equal(store.state.customer, "High Desert Collective");
+         assert.deepEqual(store.getters.lines_needing_pricing, [first_line, second_line]);
+         assert.equal(store.state.ignore_pricing_rule, false);
+
+         store.commit("SET_LINE_DETAILS", { name: first_line.name, rate: 12, price_list_rate: 12 });
+         assert.equal(first_line.rate, 12, "a rate typed in for the old customer doesn't carry over");
+         assert.deepEqual(store.getters.lines_needing_pricing, [second_line]);
+      });
+
+      it("keeps quantities, batches and warehouses for the new customer", () => {
+         add_priced_line(store, { item_code: "FLOWER-8TH", qty: 3, batch_no: "BATCH-A", warehouse: "Vault - BS" });
+
+         store.commit("SET_CUSTOMER", "High Desert Collective");
+
+         assert.equal(store.state.lines.length, 1);
+         assert.equal(store.state.lines[0].qty, 3);
+         assert.equal(store.state.lines[0].batch_no, "BATCH-A");
+         assert.equal(store.state.lines[0].warehouse, "Vault - BS");
+      });
+
+      it("keeps discounts from the order type", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+         store.commit("SET_LINE_DISCOUNT", { name: line.name, discount_percentage: 15 });
+
+         store.commit("SET_CUSTOMER", "High Desert Collective");
+         store.commit("SET_LINE_DETAILS", { name: line.name, rate: 12, discount_percentage: 0 });
+
+         assert.equal(line.discount_percentage, 15);
+      });
+
+      it("doesn't reprice when the same customer is selected again", () => {
+         add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+
+         store.commit("SET_CUSTOMER", "Green Leaf Dispensary");
+
+         assert.deepEqual(store.getters.lines_needing_pricing, []);
+      });
+   });
+
+   describe("loading and resetting", () => {
+      it("loads lines from a restored order, merging duplicates and dropping empty rows", () => {
+         store.commit("LOAD", {
+            customer: "High Desert Collective",
+            lines: [
+               { name: "row-1", item_code: "PRE-ROLL", qty: 1, warehouse: "Stores - BS" },
+               { name: "row-2", item_code: "PRE-ROLL", qty: 2, warehouse: "Stores - BS" },
+               { name: "row-3", item_code: "FLOWER-8TH", qty: 0, warehouse: "Stores - BS" }
+            ]
+         });
+
+         assert.equal(store.state.customer, "High Desert Collective");
+         assert.deepEqual(store.state.lines.map(line => [line.name, line.qty]), [["row-1", 3]]);
+      });
+
+      it("keeps the rates the rep set when reloading lines from the form", () => {
+         const line = add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+         store.commit("SET_RATE", { name: line.name, rate: 6 });
+
+         store.commit("LOAD", {
+            customer: "Green Leaf Dispensary",
+            lines: [
+               { name: line.name, item_code: "PRE-ROLL", qty: 2, rate: 6 },
+               { name: "row-2", item_code: "VAPE-KIT", qty: 1, rate: 30 }
+            ]
+         });
+         store.commit("SET_LINE_DETAILS", { name: line.name, rate: 10 });
+
+         assert.equal(store.getters.get_line(line.name).rate, 6);
+         assert.equal(store.getters.get_line("row-2").rate_overridden, false);
+      });
+
+      it("keeps totals and taxes from the form", () => {
+         store.commit("SET_TOTALS", {
+            total: 100,
+            taxes: [{ description: "Excise Tax", tax_amount: "15", item_wise_tax_detail: "{}" }],
+            grand_total: 115,
+            rounded_total: 115
+         });
+
+         assert.deepEqual(store.state.taxes, [{ description: "Excise Tax", tax_amount: 15 }]);
+         assert.equal(store.state.grand_total, 115);
+      });
+
+      it("starts a new order empty", () => {
+         add_priced_line(store, { item_code: "PRE-ROLL", qty: 1 });
+         store.commit("SET_DISCOUNT", 10);
+
+         store.commit("RESET");
+
+         assert.equal(store.state.customer, null);
+         assert.deepEqual(store.state.lines, []);
+         assert.equal(store.state.additional_discount_percentage, 0);
+      });
+   });
+});
@@ -0,0 +1,9 @@
+// The store modules are ES modules bundled for the browser, in a package that
+// isn't one, so Node is handed their source to load as a module directly.
+import { readFileSync } from "node:fs";
+
+const source = readFileSync(new URL("../../public/js/bloomstack_core/store/modules/order_desk_cart.js", import.meta.url), "utf8");
+const cart = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+
+export default cart.default;
+export const { is_increment, apply_increment, get_fefo_allocations, get_net_total, get_discount_amount } = cart;